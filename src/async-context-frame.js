@@ -0,0 +1,203 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { fork } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * AsyncContextFrame detection and on/off comparison
+ *
+ * Node.js v22/v23 ship AsyncContextFrame behind --experimental-async-context-frame
+ * and v24+ enable it by default (--no-async-context-frame turns it off), so
+ * the Node.js version alone does not say which AsyncLocalStorage
+ * implementation a result was measured with. detectAsyncContextFrame() looks
+ * at the running implementation instead, and compareAsyncContextFrame()
+ * re-runs the core suite in two child processes of the same Node.js binary,
+ * one per implementation, so "AsyncContextFrame wins" can be separated from
+ * "other V8/Node.js changes".
+ */
+
+const BENCHMARK_SCRIPT = fileURLToPath(new URL('./benchmark.js', import.meta.url));
+
+/**
+ * Reports which AsyncLocalStorage implementation is active in this process.
+ * The async_hooks based implementation keeps its store under a
+ * `kResourceStore` property on each instance; AsyncContextFrame does not.
+ */
+function detectAsyncContextFrame() {
+  const probe = new AsyncLocalStorage();
+  const active = !('kResourceStore' in probe);
+  probe.disable();
+
+  return {
+    active,
+    implementation: active ? 'AsyncContextFrame' : 'async_hooks',
+    execArgv: process.execArgv.filter(arg => arg.includes('async-context-frame'))
+  };
+}
+
+/**
+ * The command line flags that switch AsyncContextFrame on and off for this
+ * Node.js binary, or null if it cannot be toggled. An empty list means the
+ * default already gives that state.
+ */
+function asyncContextFrameFlags() {
+  const flags = process.allowedNodeEnvironmentFlags;
+
+  for (const name of ['async-context-frame', 'experimental-async-context-frame']) {
+    const on = `--${name}`;
+    const off = `--no-${name}`;
+    if (flags.has(on) || flags.has(off)) {
+      return {
+        on: flags.has(on) ? [on] : [],
+        off: flags.has(off) ? [off] : []
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Runs src/benchmark.js in a child process with extra Node.js flags and
+ * resolves to the results object the child sends back over IPC.
+ */
+function runBenchmarkChild(nodeFlags, argv) {
+  return new Promise((resolve, reject) => {
+    const child = fork(BENCHMARK_SCRIPT, argv, {
+      execArgv: [...process.execArgv.filter(arg => !arg.includes('async-context-frame')), ...nodeFlags]
+    });
+
+    let results = null;
+    child.on('message', message => {
+      if (message?.type === 'results') {
+        results = message.results;
+      }
+    });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0 && results) {
+        resolve(results);
+      } else {
+        reject(new Error(`Benchmark child (${nodeFlags.join(' ') || 'default flags'}) exited with code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Comparable number for one result entry: the ALS overhead for
+ * baseline-vs-ALS scenarios, otherwise the duration of the single run.
+ */
+function comparableMetric(benchmark) {
+  if (benchmark.overhead) {
+    return { metric: 'overheadPercent', value: benchmark.overhead.timePercent };
+  }
+  return { metric: 'durationMs', value: benchmark.result.duration };
+}
+
+/**
+ * Pairs up the scenarios of the two runs and computes the per-scenario delta
+ * (AsyncContextFrame minus async_hooks).
+ */
+function buildComparison(withFrame, withoutFrame) {
+  const lookup = new Map(withoutFrame.benchmarks.map(benchmark => [benchmark.config?.test, benchmark]));
+
+  return withFrame.benchmarks
+    .filter(benchmark => lookup.has(benchmark.config?.test))
+    .map(benchmark => {
+      const other = lookup.get(benchmark.config.test);
+      const frame = comparableMetric(benchmark);
+      const hooks = comparableMetric(other);
+      const alsPerOpNs = benchmark.withALS?.perOpNs !== undefined && other.withALS?.perOpNs !== undefined
+        ? { asyncContextFrame: benchmark.withALS.perOpNs, asyncHooks: other.withALS.perOpNs }
+        : undefined;
+
+      return {
+        name: benchmark.name,
+        test: benchmark.config.test,
+        metric: frame.metric,
+        asyncContextFrame: frame.value,
+        asyncHooks: hooks.value,
+        delta: frame.value - hooks.value,
+        ...(alsPerOpNs && { alsPerOpNs })
+      };
+    });
+}
+
+/**
+ * Runs the core suite once with AsyncContextFrame and once without, each in
+ * its own child process, and returns both runs plus the per-scenario deltas.
+ *
+ * @param {string[]} argv - Arguments for the child runs (config, preset, --set, ...)
+ * @returns {Promise<Object>} - { nodeVersion, flags, runs, comparison }
+ */
+async function compareAsyncContextFrame(argv) {
+  const flags = asyncContextFrameFlags();
+  if (!flags) {
+    throw new Error(`Node.js ${process.version} cannot toggle AsyncContextFrame (needs v22+)`);
+  }
+
+  console.log(`🔀 Running the suite with AsyncContextFrame (${flags.on.join(' ') || 'default'})...`);
+  const withFrame = await runBenchmarkChild(flags.on, argv);
+
+  console.log(`🔀 Running the suite without AsyncContextFrame (${flags.off.join(' ') || 'default'})...`);
+  const withoutFrame = await runBenchmarkChild(flags.off, argv);
+
+  for (const [expected, run] of [[true, withFrame], [false, withoutFrame]]) {
+    if (run.asyncContextFrame?.active !== expected) {
+      console.warn(`⚠️  Expected AsyncContextFrame ${expected ? 'on' : 'off'} but the child ran ${run.asyncContextFrame?.implementation}`);
+    }
+  }
+
+  return {
+    nodeVersion: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    timestamp: new Date().toISOString(),
+    flags,
+    runs: {
+      asyncContextFrame: withFrame,
+      asyncHooks: withoutFrame
+    },
+    comparison: buildComparison(withFrame, withoutFrame)
+  };
+}
+
+function printComparison(report) {
+  console.log('\n' + '=' .repeat(60));
+  console.log(`ASYNCCONTEXTFRAME ON/OFF COMPARISON (${report.nodeVersion})`);
+  console.log('=' .repeat(60));
+  console.log('Delta = AsyncContextFrame minus async_hooks (negative is better for AsyncContextFrame)');
+
+  for (const entry of report.comparison) {
+    const unit = entry.metric === 'overheadPercent' ? '%' : 'ms';
+    const line = `  ${entry.name}: ${entry.asyncHooks.toFixed(2)}${unit} -> ${entry.asyncContextFrame.toFixed(2)}${unit} ` +
+      `(delta ${entry.delta >= 0 ? '+' : ''}${entry.delta.toFixed(2)}${unit})`;
+    const perOp = entry.alsPerOpNs
+      ? `, ALS ${entry.alsPerOpNs.asyncHooks.toFixed(0)} -> ${entry.alsPerOpNs.asyncContextFrame.toFixed(0)}ns/op`
+      : '';
+    console.log(line + perOp);
+  }
+}
+
+async function saveComparison(report) {
+  const resultsDir = path.join(process.cwd(), 'public', 'results');
+  await fs.mkdir(resultsDir, { recursive: true });
+
+  const filename = `acf-comparison_${report.nodeVersion.replace(/\./g, '_')}_${Date.now()}.json`;
+  const filepath = path.join(resultsDir, filename);
+
+  await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+  console.log(`\nComparison saved to: ${filepath}`);
+  return filepath;
+}
+
+export {
+  detectAsyncContextFrame,
+  asyncContextFrameFlags,
+  buildComparison,
+  compareAsyncContextFrame,
+  printComparison,
+  saveComparison
+};
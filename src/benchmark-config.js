@@ -0,0 +1,385 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'benchmark.json');
+
+/**
+ * Benchmark configuration loader
+ *
+ * Both suites are driven by a single JSON config file (config/benchmark.json
+ * by default). Values are resolved in this order, later wins:
+ *
+ *   1. The config file itself
+ *   2. A named preset from its "presets" section (--preset quick)
+ *   3. Individual overrides on the command line (--set key.path=value)
+ *
+ * The merged result is validated against CONFIG_SCHEMA so a typo in a key or
+ * a string where a number belongs fails fast instead of silently running the
+ * wrong benchmark.
+ */
+
+const latencySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    min: { type: 'number', minimum: 0 },
+    max: { type: 'number', minimum: 0 },
+    p99: { type: 'number', minimum: 0 }
+  }
+};
+
+const paramValueSchema = { type: ['number', 'string', 'boolean', 'array'] };
+
+const coreSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    warmupIterations: { type: 'integer', minimum: 1 },
+    scenarioDirs: { type: 'array', items: { type: 'string' } },
+    scenarios: { type: 'array', items: { type: 'string' } },
+    tags: { type: 'array', items: { type: 'string' } },
+    warmup: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        mode: { type: 'string', enum: ['fixed', 'adaptive'] },
+        batchFraction: { type: 'number', minimum: 0 },
+        window: { type: 'integer', minimum: 2 },
+        maxCV: { type: 'number', minimum: 0 },
+        maxBatches: { type: 'integer', minimum: 1 },
+        minBatchMs: { type: 'number', minimum: 0 }
+      }
+    },
+    execution: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        mode: { type: 'string', enum: ['sequential', 'interleaved', 'adaptive'] },
+        rounds: { type: 'integer', minimum: 1 },
+        order: { type: 'string', enum: ['abab', 'random'] },
+        target: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            ciHalfWidth: { type: 'number', minimum: 0 },
+            confidence: { type: 'number', enum: [0.9, 0.95, 0.99] },
+            budgetMs: { type: 'number', minimum: 1 },
+            minRounds: { type: 'integer', minimum: 2 },
+            maxRounds: { type: 'integer', minimum: 2 }
+          }
+        }
+      }
+    },
+    scenarioParams: {
+      type: 'object',
+      additionalProperties: { type: 'object', additionalProperties: paramValueSchema }
+    },
+    compareAsyncContextFrame: { type: 'boolean' },
+    isolation: { type: 'string', enum: ['none', 'scenario'] },
+    profile: { type: 'array', items: { type: 'string' } },
+    deoptTrace: { type: 'array', items: { type: 'string' } },
+    noiseFloor: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        repetitions: { type: 'integer', minimum: 1 }
+      }
+    },
+    selfCheck: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        multipliers: { type: 'array', items: { type: 'number', minimum: 0 } },
+        repetitions: { type: 'integer', minimum: 1 },
+        minExponent: { type: 'number' }
+      }
+    },
+    seed: { type: ['integer', 'null'], minimum: 0 }
+  }
+};
+
+const distributedSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    profiles: { type: 'array', items: { type: 'string', enum: ['steady', 'burst', 'surge'] } },
+    executionModes: { type: 'array', items: { type: 'string', enum: ['single', 'cluster', 'worker'] } },
+    variants: { type: 'array', items: { type: 'string', enum: ['als', 'non-als'] } },
+    clusterSize: { type: 'integer', minimum: 1 },
+    workerCount: { type: 'integer', minimum: 1 },
+    enableModeFlips: { type: 'boolean' },
+    seed: { type: ['integer', 'null'], minimum: 0 },
+    workload: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        tenantCount: { type: 'integer', minimum: 1 },
+        baseRPS: { type: 'number', minimum: 1 },
+        burstMultiplier: { type: 'number', minimum: 1 },
+        fanOutDegree: { type: 'integer', minimum: 1 },
+        streamPipelines: { type: 'integer', minimum: 0 },
+        dbCallLatency: latencySchema,
+        apiCallLatency: latencySchema,
+        redisLatency: latencySchema,
+        retryMaxAttempts: { type: 'integer', minimum: 0 },
+        retryBackoffMs: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            base: { type: 'number', minimum: 0 },
+            jitter: { type: 'number', minimum: 0 }
+          }
+        },
+        requestDeadlineMs: { type: 'number', minimum: 1 },
+        modeFlipIntervalMs: { type: 'number', minimum: 1 },
+        modeFlipPercent: { type: 'number', minimum: 0 },
+        contextProbePoints: { type: 'integer', minimum: 0 },
+        warmupMs: { type: 'number', minimum: 0 },
+        testDurationMs: { type: 'number', minimum: 1 }
+      }
+    }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    core: coreSchema,
+    distributed: distributedSchema,
+    presets: { type: 'object', additionalProperties: { type: 'object' } }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validates a value against a (small) JSON-schema-like description and
+ * returns a list of human readable problems. An empty list means valid.
+ */
+function validateAgainstSchema(value, schema, location = 'config') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    errors.push(`${location} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${location} must be >= ${schema.minimum} (got ${value})`);
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${location}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties !== undefined)) {
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+
+      if (childSchema) {
+        errors.push(...validateAgainstSchema(child, childSchema, `${location}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location}.${key} is not a known setting`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, `${location}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function validateConfig(config) {
+  const errors = validateAgainstSchema(config, CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid benchmark config:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Deep-merges plain objects; arrays and scalars from `override` replace
+ * whatever is in `base`.
+ */
+function mergeConfig(base, override) {
+  if (typeOf(base) !== 'object' || typeOf(override) !== 'object') {
+    return override;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Parses the right-hand side of --set. JSON values (numbers, booleans,
+ * arrays, objects) are decoded, anything else is taken as a plain string.
+ */
+function parseOverrideValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+function parseOverride(expression) {
+  const index = expression.indexOf('=');
+  if (index <= 0) {
+    throw new Error(`Invalid --set "${expression}", expected key.path=value`);
+  }
+
+  return {
+    key: expression.slice(0, index),
+    value: parseOverrideValue(expression.slice(index + 1))
+  };
+}
+
+function applyOverride(config, { key, value }) {
+  const parts = key.split('.');
+  const result = { ...config };
+  let target = result;
+
+  for (const part of parts.slice(0, -1)) {
+    target[part] = typeOf(target[part]) === 'object' ? { ...target[part] } : {};
+    target = target[part];
+  }
+
+  target[parts[parts.length - 1]] = value;
+  return result;
+}
+
+/**
+ * Parses the shared command line options:
+ *
+ *   --config <file>      Use a different config file
+ *   --preset <name>      Apply a preset from the config file's "presets"
+ *   --set <key>=<value>  Override a single setting (repeatable)
+ *
+ * `aliases` lets each entry point map its own shorthand flags onto settings,
+ * e.g. { '--tag': { key: 'core.tags', list: true } } or
+ * { '--quick': { preset: 'quick' } }. An alias with a fixed `value` takes no
+ * argument. Any other argument is rejected, so a typo such as --seet or the
+ * unsupported --preset=quick form does not silently run the default config.
+ */
+function parseCliArgs(argv, aliases = {}) {
+  const options = { configPath: undefined, preset: undefined, overrides: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} requires a value`);
+      }
+      return argv[++i];
+    };
+
+    if (arg === '--config') {
+      options.configPath = takeValue();
+    } else if (arg === '--preset') {
+      options.preset = takeValue();
+    } else if (arg === '--set') {
+      options.overrides.push(parseOverride(takeValue()));
+    } else if (aliases[arg]) {
+      const alias = aliases[arg];
+      if (alias.preset) {
+        options.preset = alias.preset;
+      } else if ('value' in alias) {
+        options.overrides.push({ key: alias.key, value: alias.value });
+      } else {
+        const raw = takeValue();
+        options.overrides.push({
+          key: alias.key,
+          value: alias.list ? raw.split(',').filter(Boolean) : parseOverrideValue(raw)
+        });
+      }
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Loads, merges and validates the benchmark configuration.
+ *
+ * @param {Object} options
+ * @param {string} [options.configPath] - Config file (defaults to config/benchmark.json)
+ * @param {string} [options.preset] - Name of a preset to apply
+ * @param {Array<{key: string, value: *}>} [options.overrides] - --set overrides
+ * @returns {Promise<Object>} - Resolved config with `core`, `distributed`,
+ *   `preset`, `overrides` and `source`
+ */
+async function loadBenchmarkConfig({ configPath = DEFAULT_CONFIG_PATH, preset, overrides = [] } = {}) {
+  const resolvedPath = path.resolve(configPath);
+
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(await fs.readFile(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load benchmark config from ${resolvedPath}: ${error.message}`);
+  }
+
+  validateConfig(fileConfig);
+
+  const { presets = {}, ...base } = fileConfig;
+  let config = base;
+
+  if (preset) {
+    if (!presets[preset]) {
+      throw new Error(`Unknown preset "${preset}". Available: ${Object.keys(presets).join(', ') || 'none'}`);
+    }
+    config = mergeConfig(config, presets[preset]);
+  }
+
+  for (const override of overrides) {
+    config = applyOverride(config, override);
+  }
+
+  validateConfig(config);
+
+  return {
+    core: {},
+    distributed: {},
+    ...config,
+    preset: preset || null,
+    overrides: overrides.map(({ key, value }) => `${key}=${JSON.stringify(value)}`),
+    source: resolvedPath
+  };
+}
+
+export {
+  DEFAULT_CONFIG_PATH,
+  CONFIG_SCHEMA,
+  loadBenchmarkConfig,
+  parseCliArgs,
+  validateConfig,
+  mergeConfig,
+};
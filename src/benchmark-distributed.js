@@ -5,10 +5,16 @@ import { pipeline, Transform, Writable } from 'stream';
 import { promisify } from 'util';
 import crypto from 'crypto';
 import EventEmitter from 'events';
+import { EventLoopMonitor } from './event-loop-monitor.js';
+import { createSeed, createRandom, deriveSeed } from './random.js';
 
 const pipelineAsync = promisify(pipeline);
 
-// Configuration
+// Source of all randomness in the workload (tenants, latencies, error
+// injection, mode flips); runBenchmark() reseeds it from options.seed
+let random = createRandom(createSeed());
+
+// Configuration (defaults; config/benchmark.json "distributed.workload" overrides these)
 const CONFIG = {
   tenantCount: 2000,
   baseRPS: 5000,
@@ -28,6 +34,21 @@ const CONFIG = {
   testDurationMs: 60000,
 };
 
+/**
+ * Applies workload overrides from the benchmark config to CONFIG.
+ * Nested objects (latency ranges, retry backoff) are merged key by key.
+ */
+function applyConfig(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && typeof CONFIG[key] === 'object') {
+      CONFIG[key] = { ...CONFIG[key], ...value };
+    } else {
+      CONFIG[key] = value;
+    }
+  }
+  return CONFIG;
+}
+
 // Metrics collection
 class MetricsCollector {
   constructor() {
@@ -182,7 +203,7 @@ class DistributedTokenBucket {
 
   async simulateLatency(type) {
     const config = CONFIG[`${type}Latency`];
-    const latency = config.min + Math.random() * (config.max - config.min);
+    const latency = config.min + random() * (config.max - config.min);
     await new Promise(resolve => setTimeout(resolve, latency));
   }
 }
@@ -312,8 +333,8 @@ class ALSRequestHandler {
       })),
       histograms: new Array(100).fill(null).map((_, i) => ({
         bucket: i,
-        count: Math.floor(Math.random() * 100),
-        sum: Math.random() * 1000
+        count: Math.floor(random() * 100),
+        sum: random() * 1000
       }))
     };
     
@@ -474,7 +495,7 @@ class NonALSRequestHandler {
     this.contextProbes[6].check(ctx);
 
     try {
-      if (Math.random() < 0.02) {
+      if (random() < 0.02) {
         throw new Error('API Error');
       }
 
@@ -488,7 +509,7 @@ class NonALSRequestHandler {
         this.contextProbes[9].check(ctx);
         
         const backoff = CONFIG.retryBackoffMs.base * Math.pow(2, retryCount);
-        const jitter = backoff * CONFIG.retryBackoffMs.jitter * Math.random();
+        const jitter = backoff * CONFIG.retryBackoffMs.jitter * random();
         await new Promise(resolve => setTimeout(resolve, backoff + jitter));
         
         return this.simulateAPICall(ctx, index, retryCount + 1);
@@ -521,7 +542,7 @@ class NonALSRequestHandler {
               global.metrics?.recordContextError();
             }
             callback(null, chunk);
-          }, Math.random() * 10);
+          }, random() * 10);
         })
       });
 
@@ -559,7 +580,7 @@ class NonALSRequestHandler {
 
   async simulateLatency(type) {
     const config = CONFIG[`${type}Latency`];
-    const latency = config.min + Math.random() * (config.max - config.min);
+    const latency = config.min + random() * (config.max - config.min);
     await new Promise(resolve => setTimeout(resolve, latency));
   }
 }
@@ -588,7 +609,7 @@ class TrafficGenerator {
   }
 
   selectTenant() {
-    const r = Math.random();
+    const r = random();
     let cumsum = 0;
     
     for (let i = 0; i < this.tenantDistribution.length; i++) {
@@ -655,8 +676,8 @@ class TrafficGenerator {
     const req = {
       tenantId: this.selectTenant(),
       reqId: crypto.randomUUID(),
-      units: Math.floor(Math.random() * 13) + 3,
-      burstAllowed: Math.random() > 0.5,
+      units: Math.floor(random() * 13) + 3,
+      burstAllowed: random() > 0.5,
     };
 
     try {
@@ -686,7 +707,7 @@ class ModeFlipper {
       const tenantsToFlip = Math.floor(CONFIG.tenantCount * CONFIG.modeFlipPercent / 100);
       
       for (let i = 0; i < tenantsToFlip; i++) {
-        const tenantId = `tenant-${Math.floor(Math.random() * CONFIG.tenantCount)}`;
+        const tenantId = `tenant-${Math.floor(random() * CONFIG.tenantCount)}`;
         const currentMode = this.tokenBucket.modes.get(tenantId) || 'soft';
         const newMode = currentMode === 'soft' ? 'punitive' : 'soft';
         this.tokenBucket.setMode(tenantId, newMode);
@@ -702,10 +723,23 @@ class ModeFlipper {
   }
 }
 
+const formatDelay = (ms) => (ms === null ? 'n/a' : `${ms.toFixed(2)}ms`);
+
 // Main benchmark runner
 async function runBenchmark(variant = 'als', options = {}) {
   console.log(`\nRunning ${variant.toUpperCase()} benchmark...`);
   console.log(`Configuration:`, options);
+
+  // Workers and cluster processes get their own copy of this module, so the
+  // workload settings travel with the options
+  if (options.workload) {
+    applyConfig(options.workload);
+  }
+
+  // Every worker/process gets its own stream of the run seed; the ALS and
+  // non-ALS variants see the same tenants, latencies and errors
+  const seed = options.seed ?? createSeed();
+  random = createRandom(deriveSeed(seed, `worker-${options.workerId ?? 0}`));
   
   // Setup
   global.metrics = new MetricsCollector();
@@ -757,8 +791,10 @@ async function runBenchmark(variant = 'als', options = {}) {
     });
   }, 1000);
 
-  // Run traffic
-  await trafficGenerator.generateTraffic(options.profile, CONFIG.testDurationMs);
+  // Run traffic, recording event loop delay and utilization for the window
+  const { eventLoop } = await new EventLoopMonitor().measure(
+    () => trafficGenerator.generateTraffic(options.profile, CONFIG.testDurationMs)
+  );
   
   // Cleanup
   clearInterval(resourceMonitor);
@@ -766,7 +802,7 @@ async function runBenchmark(variant = 'als', options = {}) {
   modeFlipper.stop();
 
   // Collect results
-  const stats = global.metrics.getStats();
+  const stats = { ...global.metrics.getStats(), eventLoop };
   const testDuration = (Date.now() - testStart) / 1000;
   
   console.log(`\n${variant.toUpperCase()} Results:`);
@@ -775,6 +811,8 @@ async function runBenchmark(variant = 'als', options = {}) {
   console.log(`Latencies: p50=${stats.latencies.p50}ms, p95=${stats.latencies.p95}ms, p99=${stats.latencies.p99}ms, p99.9=${stats.latencies.p999}ms`);
   console.log(`Context Errors: ${stats.contextIntegrityErrors} (${(stats.contextErrorRate * 100).toFixed(6)}%)`);
   console.log(`Cross-tenant Contamination: ${stats.crossTenantContamination}`);
+  console.log(`Event Loop Delay: p50=${formatDelay(eventLoop.delay.p50)}, p99=${formatDelay(eventLoop.delay.p99)}, max=${formatDelay(eventLoop.delay.max)}`);
+  console.log(`Event Loop Utilization: ${(eventLoop.utilization.utilization * 100).toFixed(1)}%`);
   if (variant === 'non-als') {
     console.log(`Explicit Propagation Edges: ${stats.explicitPropagationEdges}`);
   }
@@ -782,6 +820,7 @@ async function runBenchmark(variant = 'als', options = {}) {
   return {
     variant,
     options,
+    seed,
     stats,
     testDuration,
     auditLog: global.metrics.auditLog,
@@ -962,16 +1001,16 @@ async function testContextDepth(als, depth) {
       const context = {
         depth: currentDepth,
         timestamp: Date.now(),
-        data: `context-${currentDepth}-${Math.random()}`,
+        data: `context-${currentDepth}-${random()}`,
         // Add more complex data structures
         metadata: {
           id: currentDepth,
           nested: {
             level: currentDepth,
             timestamp: Date.now(),
-            random: Math.random(),
+            random: random(),
             array: new Array(50).fill(`data-${currentDepth}`), // Reduced from 100
-            map: new Map(Object.entries({ key1: `value-${currentDepth}`, key2: Math.random() })),
+            map: new Map(Object.entries({ key1: `value-${currentDepth}`, key2: random() })),
             set: new Set([`item-${currentDepth}`, `item-${currentDepth + 1}`, `item-${currentDepth + 2}`])
           }
         },
@@ -1028,7 +1067,7 @@ async function testContextSize(als, size) {
           data: new Array(25).fill(`nested-${i}`), // Reduced from 50
           map: new Map(Object.entries({ 
             nestedKey1: `nestedValue-${i}`, 
-            nestedKey2: Math.random(),
+            nestedKey2: random(),
             nestedKey3: new Array(12).fill(`deep-${i}`) // Reduced from 25
           })),
           set: new Set([`set-item-${i}`, `set-item-${i + 1}`, `set-item-${i + 2}`])
@@ -1121,6 +1160,7 @@ if (!isMainThread) {
 // Export for use in main benchmark
 export {
   runBenchmark,
+  applyConfig,
   CONFIG,
   TrafficGenerator,
   ALSRequestHandler,
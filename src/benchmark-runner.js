@@ -5,6 +5,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import { runBenchmark, CONFIG } from './benchmark-distributed.js';
+import { loadBenchmarkConfig, parseCliArgs } from './benchmark-config.js';
+import { EventLoopMonitor } from './event-loop-monitor.js';
+import { createSeed } from './random.js';
+import { collectEnvironment, describeEnvironment } from './environment.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -96,14 +100,12 @@ class DistributedBenchmarkRunner {
       const workers = [];
       const results = [];
       
-      // Setup cluster
-      cluster.setupPrimary({
-        exec: path.join(__dirname, 'benchmark-cluster-worker.js'),
-        args: ['--variant', variant, '--options', JSON.stringify(options)],
-      });
-      
-      // Fork workers
+      // Fork workers (settings apply per fork, so each one gets its own workerId)
       for (let i = 0; i < clusterSize; i++) {
+        cluster.setupPrimary({
+          exec: path.join(__dirname, 'benchmark-cluster-worker.js'),
+          args: ['--variant', variant, '--options', JSON.stringify({ ...options, workerId: i, workerCount: clusterSize })],
+        });
         const worker = cluster.fork();
         workers.push(worker);
       }
@@ -179,6 +181,12 @@ class DistributedBenchmarkRunner {
     aggregated.stats.latencies.p99 = totalP99 / workerResults.length;
     aggregated.stats.contextIntegrityErrors = totalErrors;
     aggregated.stats.contextErrorRate = totalOperations > 0 ? totalErrors / totalOperations : 0;
+
+    // Every worker/process has its own event loop: pool their delay and utilization
+    const eventLoops = workerResults.map(result => result?.stats?.eventLoop).filter(Boolean);
+    if (eventLoops.length > 0) {
+      aggregated.stats.eventLoop = EventLoopMonitor.combine(eventLoops);
+    }
     
     return aggregated;
   }
@@ -269,6 +277,11 @@ class DistributedBenchmarkRunner {
       benchmark.distributed.totalContextErrors = totalErrors;
       benchmark.distributed.contextErrorRate = totalOperations > 0 ? totalErrors / totalOperations : 0;
       benchmark.distributed.workerCount = maxWorkers;
+
+      const eventLoops = group.results.map(result => result?.stats?.eventLoop).filter(Boolean);
+      if (eventLoops.length > 0) {
+        benchmark.distributed.eventLoop = EventLoopMonitor.combine(eventLoops);
+      }
       
       // Calculate distributed overhead (how much the distributed nature affects performance)
       if (group.mode === 'single') {
@@ -319,10 +332,15 @@ class DistributedBenchmarkRunner {
 
   /**
    * Run comprehensive test matrix with enhanced ALS testing
+   *
+   * `options` is the "distributed" section of the benchmark config; its
+   * `workload` settings are passed on to every run (including workers and
+   * cluster processes) to override the defaults in benchmark-distributed.js.
    */
   async runTestMatrix(options = {}) {
     const {
-      testDurationMs = 30000,
+      workload = {},
+      testDurationMs = workload.testDurationMs ?? 30000,
       profiles = ['steady'],
       executionModes = ['single'],
       variants = ['als', 'non-als'],
@@ -331,7 +349,13 @@ class DistributedBenchmarkRunner {
       enableModeFlips = true
     } = options;
 
+    // Recorded so the whole matrix can be replayed with --seed
+    const seed = options.seed ?? createSeed();
+    this.results.seed = seed;
+    this.results.environment = await collectEnvironment();
+
     console.log('Starting comprehensive benchmark test matrix...');
+    console.log(`Environment: ${describeEnvironment(this.results.environment)}`);
     console.log('Configuration:', {
       testDurationMs,
       profiles,
@@ -339,7 +363,8 @@ class DistributedBenchmarkRunner {
       variants,
       clusterSize,
       workerCount,
-      enableModeFlips
+      enableModeFlips,
+      seed
     });
 
     // Enhanced ALS testing scenarios
@@ -370,7 +395,9 @@ class DistributedBenchmarkRunner {
               ...enhancedOptions,
               profile,
               enableModeFlips,
-              testDurationMs
+              seed,
+              testDurationMs,
+              workload: { ...workload, testDurationMs }
             };
 
             switch (mode) {
@@ -428,6 +455,11 @@ class DistributedBenchmarkRunner {
     console.log(`  Latency p50: ${stats.latencies.p50}ms`);
     console.log(`  Latency p99: ${stats.latencies.p99}ms`);
     console.log(`  Context Errors: ${stats.contextIntegrityErrors} (${(stats.contextErrorRate * 100).toFixed(6)}%)`);
+    if (stats.eventLoop) {
+      const { delay, utilization } = stats.eventLoop;
+      console.log(`  Event Loop Delay p99: ${delay.p99 === null ? 'n/a' : `${delay.p99.toFixed(2)}ms`}`);
+      console.log(`  Event Loop Utilization: ${(utilization.utilization * 100).toFixed(1)}%`);
+    }
     
     if (result.workerCount) {
       console.log(`  Workers/Processes: ${result.workerCount}`);
@@ -487,23 +519,25 @@ export { DistributedBenchmarkRunner };
 if (import.meta.url === `file://${process.argv[1]}`) {
   const runner = new DistributedBenchmarkRunner();
   
-  // Parse command line options
-  const options = {
-    testDurationMs: process.argv.includes('--quick') ? 10000 : 30000,
-    profiles: process.argv.includes('--all-profiles') 
-      ? ['steady', 'burst', 'surge'] 
-      : ['steady'],
-    executionModes: process.argv.includes('--all-modes')
-      ? ['single', 'cluster', 'worker']
-      : ['single'],
-    variants: process.argv.includes('--als-only') 
-      ? ['als'] 
-      : process.argv.includes('--non-als-only')
-      ? ['non-als']
-      : ['als', 'non-als'],
-  };
+  // Parse command line options (shorthand flags map onto config settings)
+  const cliOptions = parseCliArgs(process.argv.slice(2), {
+    '--quick': { preset: 'quick' },
+    '--all-profiles': { key: 'distributed.profiles', value: ['steady', 'burst', 'surge'] },
+    '--all-modes': { key: 'distributed.executionModes', value: ['single', 'cluster', 'worker'] },
+    '--als-only': { key: 'distributed.variants', value: ['als'] },
+    '--non-als-only': { key: 'distributed.variants', value: ['non-als'] },
+    '--seed': { key: 'distributed.seed' }
+  });
   
-  runner.runTestMatrix(options)
+  loadBenchmarkConfig(cliOptions)
+    .then(config => {
+      runner.results.config = {
+        source: config.source,
+        preset: config.preset,
+        overrides: config.overrides
+      };
+      return runner.runTestMatrix(config.distributed);
+    })
     .then(results => {
       console.log('\nBenchmark completed successfully!');
       process.exit(0);
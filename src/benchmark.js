@@ -1,9 +1,126 @@
-import { AsyncLocalStorage } from 'async_hooks';
+import { AsyncLocalStorage, createHook, executionAsyncResource } from 'async_hooks';
 import { performance } from 'perf_hooks';
 import fs from 'fs/promises';
 import path from 'path';
 import { Worker } from 'worker_threads';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
 import cluster from 'cluster';
+import { ScenarioRegistry, OPT_IN_TAGS } from './scenario-registry.js';
+import { builtinScenarios } from './scenarios/index.js';
+import { loadBenchmarkConfig, parseCliArgs } from './benchmark-config.js';
+import { median, summarize, coefficientOfVariation, confidenceInterval } from './stats.js';
+import { GCMonitor } from './gc-monitor.js';
+import { EventLoopMonitor } from './event-loop-monitor.js';
+import { CPUProfiler } from './cpu-profiler.js';
+import { createLatencyHistogram, recordSince, withLatency, mergeLatency } from './latency-histogram.js';
+import { detectAsyncContextFrame, compareAsyncContextFrame, printComparison, saveComparison } from './async-context-frame.js';
+import { traceDeopts, printDeoptReport, saveDeoptReport } from './deopt-trace.js';
+import { createSeed, createRandom, deriveSeed } from './random.js';
+import { consume, consumed } from './sink.js';
+import { analyzeSweeps } from './sweep.js';
+import { warmupStopRule, nextBatchIterations } from './warmup.js';
+import { collectEnvironment, describeEnvironment } from './environment.js';
+
+const SCENARIO_CHILD_SCRIPT = fileURLToPath(new URL('./scenario-child.js', import.meta.url));
+
+function formatParams(params) {
+  return Object.entries(params).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+function formatLatency(result) {
+  if (!result.latency) {
+    return '';
+  }
+  const us = (ns) => (ns / 1000).toFixed(1);
+  const { p50, p99, p999, max } = result.latency;
+  return ` (${result.perOpNs.toFixed(0)}ns/op; p50 ${us(p50)}µs, p99 ${us(p99)}µs, p99.9 ${us(p999)}µs, max ${us(max)}µs)`;
+}
+
+function formatEventLoop(eventLoop) {
+  const ms = (value) => (value === null ? 'n/a' : `${value.toFixed(2)}ms`);
+  const { delay, utilization } = eventLoop;
+  return `delay p50 ${ms(delay.p50)}, p99 ${ms(delay.p99)}, max ${ms(delay.max)}; utilization ${(utilization.utilization * 100).toFixed(1)}%`;
+}
+
+/**
+ * Least-squares slope of log(duration) over log(iterations): 1 when time
+ * grows linearly with the iteration count, near 0 when it does not grow.
+ */
+function scalingExponent(points) {
+  const xs = points.map(point => Math.log(point.iterations));
+  const ys = points.map(point => Math.log(point.duration));
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (let index = 0; index < xs.length; index++) {
+    covariance += (xs[index] - meanX) * (ys[index] - meanY);
+    variance += (xs[index] - meanX) ** 2;
+  }
+  return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * How much more GC the ALS side did than the baseline, and what share of the
+ * extra wall-clock time those extra pauses account for. The rest of the
+ * overhead is propagation itself.
+ */
+function gcOverhead(withoutALS, withALS) {
+  const pauseMsDelta = withALS.gc.totalPauseMs - withoutALS.gc.totalPauseMs;
+  const durationDelta = withALS.duration - withoutALS.duration;
+
+  return {
+    countDelta: withALS.gc.count - withoutALS.gc.count,
+    majorDelta: withALS.gc.major - withoutALS.gc.major,
+    pauseMsDelta,
+    shareOfOverheadPercent: durationDelta > 0 ? (pauseMsDelta / durationDelta) * 100 : null
+  };
+}
+
+/**
+ * Adds up the results of several runs of the same benchmark function
+ * (e.g. the rounds of an interleaved run) into one result of the same shape.
+ */
+function combineRunResults(runs) {
+  const combined = {
+    duration: 0,
+    memoryDelta: { rss: 0, heapUsed: 0, heapTotal: 0, external: 0 },
+    results: 0
+  };
+
+  for (const run of runs) {
+    combined.duration += run.duration;
+    for (const key of Object.keys(combined.memoryDelta)) {
+      combined.memoryDelta[key] += run.memoryDelta?.[key] || 0;
+    }
+    combined.results += run.results || 0;
+    if (run.contextLost !== undefined) {
+      combined.contextLost = (combined.contextLost || 0) + run.contextLost;
+    }
+  }
+
+  if (runs.every(run => run.gc)) {
+    combined.gc = GCMonitor.combine(runs.map(run => run.gc));
+  }
+
+  if (runs.every(run => run.eventLoop)) {
+    combined.eventLoop = EventLoopMonitor.combine(runs.map(run => run.eventLoop));
+  }
+
+  if (runs.some(run => run.requestsPerSecond !== undefined)) {
+    combined.requestsPerSecond = combined.results / (combined.duration / 1000);
+  }
+
+  const latency = mergeLatency(runs);
+  if (latency) {
+    combined.perOpNs = (combined.duration * 1e6) / latency.count;
+    combined.latency = latency;
+  }
+
+  return combined;
+}
 
 /**
  * AsyncLocalStorage Performance Benchmark Suite
@@ -26,6 +143,35 @@ import cluster from 'cluster';
  * 4. DATA SIZE IMPACT: How object size affects performance
  * 5. ASYNC OPERATION IMPACT: Performance with real async operations
  * 
+ * ASYNC PRIMITIVES:
+ * - Propagation through nextTick, queueMicrotask, setImmediate, timers,
+ *   promises, thenables, async generators and for await, with a check that
+ *   the store survives every hop
+ * 
+ * THREADPOOL I/O:
+ * - fs.promises reads/writes, zlib and crypto.pbkdf2, checking the store
+ *   after every libuv threadpool round-trip
+ * 
+ * HTTP SERVER:
+ * - A node:http server with an ALS middleware chain under a keep-alive load
+ *   generator, reporting req/s and latency percentiles
+ * 
+ * EVENTS AND STREAMS:
+ * - EventEmitter listeners, EventEmitterAsyncResource, stream.pipeline with
+ *   Transform/Writable and events.on() async iteration, with store checks
+ * 
+ * MULTIPLE INSTANCES:
+ * - 1, 2, 4, 8 and 16 live AsyncLocalStorage instances propagated across
+ *   async hops, to show how cost scales with the number of stores
+ * 
+ * API SURFACE TESTS:
+ * - enterWith(), exit(), run() + disable(), AsyncLocalStorage.bind() and
+ *   AsyncLocalStorage.snapshot(), each skipped on versions that lack the API
+ * 
+ * ASYNC HOOKS ISOLATION:
+ * - The same promise-heavy workload with no hooks, an empty hook, a resource
+ *   propagating hook and ALS, to split ALS overhead into its parts
+ * 
  * NEW: ASYNCCONTEXTFRAME-SPECIFIC TESTS (Node.js v24+):
  * 6. HIGH-FREQUENCY CONTEXT SWITCHING: Rapid context creation/switching performance
  * 7. CONCURRENT CONTEXT OPERATIONS: Context isolation under high concurrency
@@ -60,14 +206,88 @@ import cluster from 'cluster';
  * - Propagation Stress: Deep async chains with context passing (v24+ focus)
  */
 class AsyncLocalStorageBenchmark {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {ScenarioRegistry} [options.registry] - Registry to run scenarios from
+   * @param {string[]} [options.scenarioDirs] - Extra directories of scenario modules
+   * @param {string[]} [options.scenarios] - Only run scenarios with these ids
+   * @param {string[]} [options.tags] - Only run scenarios carrying one of these tags
+   * @param {number} [options.warmupIterations] - Iterations per warmup run (fixed
+   *   warmup), and the minimum batch size for adaptive warmup
+   * @param {Object} [options.warmup] - How to warm up paired scenarios:
+   *   { mode: 'fixed' | 'adaptive', batchFraction, window, maxCV, maxBatches, minBatchMs }
+   * @param {Object} [options.scenarioParams] - Per-scenario parameter overrides, keyed by id
+   * @param {Object} [options.execution] - How baseline and ALS runs are ordered:
+   *   { mode: 'sequential' | 'interleaved' | 'adaptive', rounds, order: 'abab' | 'random',
+   *     target: { ciHalfWidth, confidence, budgetMs, minRounds, maxRounds } }
+   * @param {string} [options.isolation] - 'none' runs every scenario in this
+   *   process, 'scenario' runs each one in a freshly forked child process
+   */
+  constructor(options = {}) {
+    this.options = {
+      scenarioDirs: [],
+      scenarios: [],
+      tags: [],
+      warmupIterations: 10,
+      scenarioParams: {},
+      isolation: 'none',
+      profile: [],
+      deoptTrace: [],
+      seed: null,
+      ...options,
+      warmup: {
+        mode: 'adaptive',
+        batchFraction: 0.05,
+        window: 5,
+        maxCV: 0.1,
+        maxBatches: 50,
+        minBatchMs: 10,
+        ...options.warmup
+      },
+      execution: {
+        mode: 'sequential',
+        rounds: 10,
+        order: 'abab',
+        ...options.execution,
+        target: {
+          ciHalfWidth: 1,
+          confidence: 0.95,
+          budgetMs: 60000,
+          minRounds: 5,
+          maxRounds: 500,
+          ...options.execution?.target
+        }
+      },
+      noiseFloor: {
+        enabled: false,
+        repetitions: 5,
+        ...options.noiseFloor
+      },
+      selfCheck: {
+        enabled: false,
+        multipliers: [1, 2, 4],
+        repetitions: 3,
+        minExponent: 0.8,
+        ...options.selfCheck
+      }
+    };
+    this.registry = this.options.registry || new ScenarioRegistry();
+    this.scenariosLoaded = false;
     this.als = new AsyncLocalStorage();
+    this.gcMonitor = new GCMonitor();
+    this.eventLoopMonitor = new EventLoopMonitor();
+    this.seed = this.options.seed ?? createSeed();
+    this.random = createRandom(this.seed);
     this.results = {
       nodeVersion: process.version,
       platform: process.platform,
       arch: process.arch,
       timestamp: new Date().toISOString(),
-      benchmarks: []
+      asyncContextFrame: detectAsyncContextFrame(),
+      isolation: this.options.isolation,
+      seed: this.seed,
+      benchmarks: [],
+      skipped: []
     };
   }
 
@@ -79,14 +299,15 @@ class AsyncLocalStorageBenchmark {
    * in the context of meaningful work being done.
    * 
    * @param {number} iterations - Number of mathematical operations to perform
-   * @returns {number} - Computed result (prevents optimization)
+   * @returns {number} - Computed result, also handed to the result sink so
+   *   the loop cannot be eliminated when callers ignore it
    */
   heavyComputation(iterations = 10000) {
     let sum = 0;
     for (let i = 0; i < iterations; i++) {
       sum += Math.sqrt(i) * Math.sin(i) * Math.cos(i);
     }
-    return sum;
+    return consume(sum);
   }
 
   /**
@@ -103,7 +324,7 @@ class AsyncLocalStorageBenchmark {
     return new Promise(resolve => {
       setTimeout(() => {
         this.heavyComputation(1000);
-        resolve(Math.random());
+        resolve(this.random());
       }, delay);
     });
   }
@@ -124,7 +345,7 @@ class AsyncLocalStorageBenchmark {
    */
   createTestData(size) {
     const data = {
-      id: Math.random().toString(36),
+      id: this.random().toString(36),
       timestamp: Date.now(),
       metadata: {}
     };
@@ -132,7 +353,7 @@ class AsyncLocalStorageBenchmark {
     // Add varying amounts of data
     for (let i = 0; i < size; i++) {
       data.metadata[`key_${i}`] = {
-        value: `value_${i}_${Math.random().toString(36)}`,
+        value: `value_${i}_${this.random().toString(36)}`,
         nested: {
           level1: `nested_value_${i}`,
           level2: {
@@ -158,15 +379,17 @@ class AsyncLocalStorageBenchmark {
    * @param {number} iterations - Number of operations to perform
    * @param {number} dataSize - Size of data objects to create
    * @param {boolean} asyncOps - Whether to include async operations
-   * @returns {Object} - Performance metrics (duration, memory usage)
+   * @returns {Object} - Performance metrics (duration, memory usage, per-operation latency)
    */
   async benchmarkWithoutALS(iterations, dataSize, asyncOps = false) {
     const startTime = performance.now();
     const startMemory = process.memoryUsage();
     
-    let results = [];
+    const histogram = createLatencyHistogram();
+    let results = 0;
     
     for (let i = 0; i < iterations; i++) {
+      const opStart = process.hrtime.bigint();
       const data = this.createTestData(dataSize);
       
       if (asyncOps) {
@@ -174,13 +397,15 @@ class AsyncLocalStorageBenchmark {
       }
       
       this.heavyComputation();
-      results.push(data.id);
+      consume(data.id);
+      results++;
+      recordSince(histogram, opStart);
     }
     
     const endTime = performance.now();
     const endMemory = process.memoryUsage();
     
-    return {
+    return withLatency({
       duration: endTime - startTime,
       memoryDelta: {
         rss: endMemory.rss - startMemory.rss,
@@ -188,8 +413,8 @@ class AsyncLocalStorageBenchmark {
         heapTotal: endMemory.heapTotal - startMemory.heapTotal,
         external: endMemory.external - startMemory.external
       },
-      results: results.length
-    };
+      results
+    }, histogram, iterations);
   }
 
   /**
@@ -212,15 +437,17 @@ class AsyncLocalStorageBenchmark {
    * @param {number} iterations - Number of operations to perform
    * @param {number} dataSize - Size of data objects to store
    * @param {boolean} asyncOps - Whether to include async operations
-   * @returns {Object} - Performance metrics (duration, memory usage)
+   * @returns {Object} - Performance metrics (duration, memory usage, per-operation latency)
    */
   async benchmarkWithALS(iterations, dataSize, asyncOps = false) {
     const startTime = performance.now();
     const startMemory = process.memoryUsage();
     
-    let results = [];
+    const histogram = createLatencyHistogram();
+    let results = 0;
     
     for (let i = 0; i < iterations; i++) {
+      const opStart = process.hrtime.bigint();
       const data = this.createTestData(dataSize);
       
       await this.als.run(data, async () => {
@@ -233,15 +460,17 @@ class AsyncLocalStorageBenchmark {
         // Access the stored data multiple times to simulate real usage
         const storedData = this.als.getStore();
         if (storedData) {
-          results.push(storedData.id);
+          consume(storedData.id);
+          results++;
         }
       });
+      recordSince(histogram, opStart);
     }
     
     const endTime = performance.now();
     const endMemory = process.memoryUsage();
     
-    return {
+    return withLatency({
       duration: endTime - startTime,
       memoryDelta: {
         rss: endMemory.rss - startMemory.rss,
@@ -249,8 +478,8 @@ class AsyncLocalStorageBenchmark {
         heapTotal: endMemory.heapTotal - startMemory.heapTotal,
         external: endMemory.external - startMemory.external
       },
-      results: results.length
-    };
+      results
+    }, histogram, iterations);
   }
 
   /**
@@ -281,42 +510,59 @@ class AsyncLocalStorageBenchmark {
    * @param {number} iterations - Number of operations to perform
    * @param {number} dataSize - Size of data objects to store
    * @param {number} nestingLevel - Depth of AsyncLocalStorage nesting
-   * @returns {Object} - Performance metrics (duration, memory usage)
+   * @param {Object} [options]
+   * @param {boolean} [options.asyncOps=true] - Run asyncWork() at every level;
+   *   otherwise each level only awaits a resolved promise
+   * @param {number} [options.computeIterations=10000] - heavyComputation() size
+   *   at the innermost level
+   * 
+   * Turning both down keeps the per-level ALS cost from being buried under
+   * timer latency and leaf work, which the nesting depth sweep relies on.
+   * @returns {Object} - Performance metrics (duration, memory usage, per-operation latency)
    */
-  async benchmarkNestedALS(iterations, dataSize, nestingLevel = 3) {
+  async benchmarkNestedALS(iterations, dataSize, nestingLevel = 3, { asyncOps = true, computeIterations = 10000 } = {}) {
     const startTime = performance.now();
     const startMemory = process.memoryUsage();
     
-    let results = [];
+    let results = 0;
     
     const nestedRun = async (level, data) => {
       if (level <= 0) {
-        this.heavyComputation();
+        this.heavyComputation(computeIterations);
         const storedData = this.als.getStore();
         if (storedData) {
-          results.push(storedData.id);
+          consume(storedData.id);
+          results++;
         }
         return;
       }
       
-      const nestedData = { ...data, level, nested: Math.random() };
+      const nestedData = { ...data, level, nested: this.random() };
       await this.als.run(nestedData, async () => {
-        await this.asyncWork();
+        if (asyncOps) {
+          await this.asyncWork();
+        } else {
+          await null;
+        }
         await nestedRun(level - 1, nestedData);
       });
     };
     
+    const histogram = createLatencyHistogram();
+    
     for (let i = 0; i < iterations; i++) {
+      const opStart = process.hrtime.bigint();
       const data = this.createTestData(dataSize);
       await this.als.run(data, async () => {
         await nestedRun(nestingLevel, data);
       });
+      recordSince(histogram, opStart);
     }
     
     const endTime = performance.now();
     const endMemory = process.memoryUsage();
     
-    return {
+    return withLatency({
       duration: endTime - startTime,
       memoryDelta: {
         rss: endMemory.rss - startMemory.rss,
@@ -324,8 +570,122 @@ class AsyncLocalStorageBenchmark {
         heapTotal: endMemory.heapTotal - startMemory.heapTotal,
         external: endMemory.external - startMemory.external
       },
-      results: results.length
+      results
+    }, histogram, iterations);
+  }
+
+  /**
+   * Matched baseline for benchmarkNestedALS()
+   * 
+   * WHAT IT TESTS: The same nested structure without AsyncLocalStorage: every
+   * level derives its data object from the level above, does the same async
+   * work and passes the data down explicitly, so comparing it with
+   * benchmarkNestedALS() at the same iterations and depth leaves only the cost
+   * of the nested als.run() calls and getStore().
+   * 
+   * @param {number} iterations - Number of operations to perform
+   * @param {number} dataSize - Size of data objects to create
+   * @param {number} nestingLevel - Depth of nesting
+   * @param {Object} [options] - asyncOps and computeIterations, as for benchmarkNestedALS()
+   * @returns {Object} - Performance metrics (duration, memory usage, per-operation latency)
+   */
+  async benchmarkNestedWithoutALS(iterations, dataSize, nestingLevel = 3, { asyncOps = true, computeIterations = 10000 } = {}) {
+    const startTime = performance.now();
+    const startMemory = process.memoryUsage();
+    
+    let results = 0;
+    
+    const nestedRun = async (level, data) => {
+      if (level <= 0) {
+        this.heavyComputation(computeIterations);
+        consume(data.id);
+        results++;
+        return;
+      }
+      
+      const nestedData = { ...data, level, nested: this.random() };
+      if (asyncOps) {
+        await this.asyncWork();
+      } else {
+        await null;
+      }
+      await nestedRun(level - 1, nestedData);
     };
+    
+    const histogram = createLatencyHistogram();
+    
+    for (let i = 0; i < iterations; i++) {
+      const opStart = process.hrtime.bigint();
+      const data = this.createTestData(dataSize);
+      await nestedRun(nestingLevel, data);
+      recordSince(histogram, opStart);
+    }
+    
+    const endTime = performance.now();
+    const endMemory = process.memoryUsage();
+    
+    return withLatency({
+      duration: endTime - startTime,
+      memoryDelta: {
+        rss: endMemory.rss - startMemory.rss,
+        heapUsed: endMemory.heapUsed - startMemory.heapUsed,
+        heapTotal: endMemory.heapTotal - startMemory.heapTotal,
+        external: endMemory.external - startMemory.external
+      },
+      results
+    }, histogram, iterations);
+  }
+
+  /**
+   * Generic per-operation benchmark loop for scenarios
+   * 
+   * WHAT IT TESTS: Whatever `operation` does. Scenarios that exercise a specific
+   * AsyncLocalStorage API (enterWith, exit, snapshot, ...) pass the baseline and
+   * the ALS variant of their work as `operation`, and get back the same result
+   * shape as the built-in tests, including per-operation latency.
+   * 
+   * An operation that returns a promise is awaited; a synchronous operation is
+   * not, so synchronous APIs are measured without extra microtask hops. Every
+   * operation that returns a value other than undefined is counted in `results`,
+   * which lets scenarios report how often the expected store was seen.
+   * 
+   * @param {number} iterations - Number of operations to perform
+   * @param {Function} operation - Called as operation(i) once per iteration
+   * @returns {Object} - Performance metrics (duration, memory usage, per-operation latency)
+   */
+  async benchmarkOperations(iterations, operation) {
+    const startTime = performance.now();
+    const startMemory = process.memoryUsage();
+    
+    const histogram = createLatencyHistogram();
+    let results = 0;
+    
+    for (let i = 0; i < iterations; i++) {
+      const opStart = process.hrtime.bigint();
+      let value = operation(i);
+      if (value && typeof value.then === 'function') {
+        value = await value;
+      }
+      recordSince(histogram, opStart);
+      
+      if (consume(value) !== undefined) {
+        results++;
+      }
+    }
+    
+    const endTime = performance.now();
+    const endMemory = process.memoryUsage();
+    
+    return withLatency({
+      duration: endTime - startTime,
+      memoryDelta: {
+        rss: endMemory.rss - startMemory.rss,
+        heapUsed: endMemory.heapUsed - startMemory.heapUsed,
+        heapTotal: endMemory.heapTotal - startMemory.heapTotal,
+        external: endMemory.external - startMemory.external
+      },
+      results
+    }, histogram, iterations);
   }
 
   /**
@@ -343,7 +703,7 @@ class AsyncLocalStorageBenchmark {
     const startTime = performance.now();
     const startMemory = process.memoryUsage();
     
-    let results = [];
+    let results = 0;
     
     // Rapidly switch between different contexts
     for (let i = 0; i < iterations; i++) {
@@ -353,7 +713,8 @@ class AsyncLocalStorageBenchmark {
         // Immediate context retrieval - tests context switching overhead
         const stored = this.als.getStore();
         if (stored) {
-          results.push(stored.id);
+          consume(stored.id);
+          results++;
         }
         
         // Nested context switch within the same iteration
@@ -361,7 +722,8 @@ class AsyncLocalStorageBenchmark {
         await this.als.run(nestedData, async () => {
           const nestedStored = this.als.getStore();
           if (nestedStored && nestedStored.nested) {
-            results.push(`nested_${nestedStored.id}`);
+            consume(nestedStored.id);
+            results++;
           }
         });
       });
@@ -379,7 +741,7 @@ class AsyncLocalStorageBenchmark {
         external: endMemory.external - startMemory.external
       },
       contextSwitchesPerSecond: (iterations * 2) / ((endTime - startTime) / 1000),
-      results: results.length
+      results
     };
   }
 
@@ -414,11 +776,11 @@ class AsyncLocalStorageBenchmark {
           
           await this.als.run(contextData, async () => {
             // Simulate async work that could cause context mixing
-            await new Promise(resolve => setTimeout(resolve, Math.random() * 2));
+            await new Promise(resolve => setTimeout(resolve, this.random() * 2));
             
             const stored = this.als.getStore();
             if (stored && stored.concurrency === c && stored.operation === i) {
-              results.push(`${stored.concurrency}-${stored.operation}`);
+              results.push(consume(`${stored.concurrency}-${stored.operation}`));
             } else {
               // Context mixing detected
               results.push('CONTEXT_MIXING_ERROR');
@@ -474,7 +836,7 @@ class AsyncLocalStorageBenchmark {
     const asyncChain = async (level, maxLevel, contextData) => {
       if (level >= maxLevel) {
         const stored = this.als.getStore();
-        return stored ? stored.id : null;
+        return stored ? consume(stored.id) : null;
       }
       
       // Simulate async operation at each level
@@ -527,227 +889,1001 @@ class AsyncLocalStorageBenchmark {
     };
   }
 
-  // Note: Distributed system benchmark removed - not needed for current analysis
-
   /**
-   * Runs the complete AsyncLocalStorage benchmark suite
-   * 
-   * ENHANCED FOR ASYNCCONTEXTFRAME TESTING:
-   * This version includes the original tests PLUS new tests specifically designed
-   * to highlight AsyncContextFrame performance improvements in Node.js v24+:
+   * Async hooks cost isolation test
    * 
-   * NEW TESTS:
-   * 7. HIGH-FREQUENCY CONTEXT SWITCHING: Rapid context creation/switching
-   * 8. CONCURRENT CONTEXT OPERATIONS: High concurrency with context isolation
-   * 9. CONTEXT PROPAGATION STRESS: Deep async chains with context passing
+   * WHAT THIS TARGETS: Before Node.js v24, AsyncLocalStorage is built on
+   * async_hooks, so its overhead is a mix of "any async hook is enabled" and
+   * "ALS propagates a store". This runs the same promise-heavy workload four
+   * ways to separate the two:
    * 
-   * These new tests specifically target the areas where AsyncContextFrame
-   * provides the most dramatic performance improvements compared to the
-   * traditional async hooks implementation.
+   * - none: this.als is disabled for the duration. That only disables this
+   *   runner's own instance: ALS instances and hooks created by other
+   *   scenarios stay active, so the variant is hooks-free only in a process
+   *   that ran nothing else. The scenario declares `isolate: true` for that.
+   * - emptyHook: createHook({ init() {} }).enable(), which turns on promise hooks
+   * - resourceLookup: an init hook that copies a value from
+   *   executionAsyncResource() onto each new resource, the way the async_hooks
+   *   based ALS propagates its store
+   * - als: every operation runs inside this.als.run()
    * 
-   * ORIGINAL TEST MATRIX: 6 different test scenarios to cover
-   * common real-world usage patterns:
+   * The gaps between consecutive variants attribute the overhead to hook
+   * dispatch, resource propagation and ALS itself. The ALS gap can be negative:
+   * Node.js's internal ALS hook is cheaper than a user-land JS hook, and on
+   * AsyncContextFrame builds ALS does not use hooks at all.
    * 
-   * 1. SMALL DATA (5 properties, 10K iterations)
-   *    - Simulates: Basic request tracking (user ID, request ID, timestamp)
-   *    - Tests: Minimal overhead scenario
+   * Each variant is a single run, so the "none" variant is repeated
+   * `noiseFloor.repetitions` times as an A/A check. The largest A/A difference
+   * is the noise floor, and each gap records whether it is larger than that.
    * 
-   * 2. SMALL DATA + ASYNC (5 properties, 5K iterations, with I/O)
-   *    - Simulates: API calls with lightweight context  
-   *    - Tests: Async propagation overhead
-   * 
-   * 3. MEDIUM DATA (50 properties, 5K iterations)
-   *    - Simulates: User profiles, request metadata, session data
-   *    - Tests: Moderate data size impact
-   * 
-   * 4. MEDIUM DATA + ASYNC (50 properties, 2.5K iterations, with I/O)
-   *    - Simulates: Database operations with rich context
-   *    - Tests: Combined data size + async overhead
-   * 
-   * 5. LARGE DATA (500 properties, 1K iterations) 
-   *    - Simulates: Complex application state, detailed audit trails
-   *    - Tests: Large object storage impact
-   * 
-   * 6. LARGE DATA + ASYNC (500 properties, 500 iterations, with I/O)
-   *    - Simulates: Heavy processing with comprehensive context
-   *    - Tests: Worst-case overhead scenario
-   * 
-   * For each scenario, we measure:
-   * - Without ALS: Baseline performance
-   * - With ALS: Standard AsyncLocalStorage usage  
-   * - Nested ALS: Multiple context layers (reduced iterations)
-   * 
-   * The varying iteration counts ensure reasonable test completion time
-   * while maintaining statistical significance.
+   * @param {number} iterations - Number of operations per variant
+   * @param {number} depth - Awaited async calls per operation
+   * @returns {Object} - Per-variant results and the gaps between them
    */
-  async runBenchmarks() {
-    console.log(`Starting AsyncLocalStorage benchmarks on Node.js ${process.version}`);
-    console.log(`Platform: ${process.platform} ${process.arch}`);
-    console.log('=' .repeat(60));
+  async benchmarkAsyncHooksIsolation(iterations = 5000, depth = 10) {
+    const contextSymbol = Symbol('benchmarkContext');
+    
+    const asyncStep = async (value) => {
+      await null;
+      return value + 1;
+    };
+    
+    const workload = async () => {
+      let value = 0;
+      for (let level = 0; level < depth; level++) {
+        value = await asyncStep(value);
+      }
+      return value;
+    };
+    
+    const variants = {
+      none: {
+        enable: () => this.als.disable(),
+        operation: workload
+      },
+      emptyHook: {
+        enable: () => createHook({ init() {} }).enable(),
+        operation: workload
+      },
+      resourceLookup: {
+        enable: () => createHook({
+          init(asyncId, type, triggerAsyncId, resource) {
+            const current = executionAsyncResource();
+            if (current && current[contextSymbol] !== undefined) {
+              resource[contextSymbol] = current[contextSymbol];
+            }
+          }
+        }).enable(),
+        operation: () => {
+          executionAsyncResource()[contextSymbol] = this.createTestData(5);
+          return workload();
+        }
+      },
+      als: {
+        enable: () => null,
+        operation: () => this.als.run(this.createTestData(5), workload)
+      }
+    };
+    
+    const results = {};
+    const noiseSamples = [];
+    
+    for (const [name, variant] of Object.entries(variants)) {
+      const hook = variant.enable();
+      try {
+        await this.benchmarkOperations(this.options.warmupIterations, variant.operation);
+        this.forceGC();
+        results[name] = await this.benchmarkOperations(iterations, variant.operation);
+        
+        if (name === 'none') {
+          for (let repetition = 0; repetition < this.options.noiseFloor.repetitions; repetition++) {
+            this.forceGC();
+            const again = await this.benchmarkOperations(iterations, variant.operation);
+            noiseSamples.push(((again.duration - results.none.duration) / results.none.duration) * 100);
+          }
+        }
+      } finally {
+        if (hook) {
+          hook.disable();
+        }
+      }
+    }
+    
+    const floorPercent = Math.max(...noiseSamples.map(Math.abs));
+    const gap = (from, to) => {
+      const percentOfNone = ((results[to].duration - results[from].duration) / results.none.duration) * 100;
+      return {
+        ms: results[to].duration - results[from].duration,
+        perOpNs: results[to].perOpNs - results[from].perOpNs,
+        percentOfNone,
+        significant: Math.abs(percentOfNone) > floorPercent
+      };
+    };
+    
+    return {
+      duration: Object.values(results).reduce((sum, result) => sum + result.duration, 0),
+      memoryDelta: results.als.memoryDelta,
+      variants: results,
+      noiseFloor: { method: 'maxAbs', samples: noiseSamples, floorPercent },
+      gaps: {
+        hookDispatch: gap('none', 'emptyHook'),
+        resourcePropagation: gap('emptyHook', 'resourceLookup'),
+        asyncLocalStorage: gap('resourceLookup', 'als'),
+        total: gap('none', 'als')
+      },
+      operationsPerSecond: iterations / (results.als.duration / 1000),
+      results: results.als.results
+    };
+  }
 
-    const testConfigs = [
-      { name: 'Small Data', iterations: 10000, dataSize: 5, asyncOps: false },
-      { name: 'Small Data + Async', iterations: 5000, dataSize: 5, asyncOps: true },
-      { name: 'Medium Data', iterations: 5000, dataSize: 50, asyncOps: false },
-      { name: 'Medium Data + Async', iterations: 2500, dataSize: 50, asyncOps: true },
-      { name: 'Large Data', iterations: 1000, dataSize: 500, asyncOps: false },
-      { name: 'Large Data + Async', iterations: 500, dataSize: 500, asyncOps: true },
-    ];
-
-    // NEW: AsyncContextFrame-specific tests for Node.js v24+ performance analysis
-    const asyncContextFrameTests = [
-      { name: 'High-Frequency Context Switching', test: 'contextSwitching', iterations: 50000 },
-      { name: 'Concurrent Context Operations', test: 'concurrent', concurrency: 100, operationsPerConcurrency: 100 },
-      { name: 'Context Propagation Stress', test: 'propagation', chains: 1000, depth: 10 },
-    ];
-
-    for (const config of testConfigs) {
-      console.log(`\nTesting: ${config.name}`);
-      console.log(`Iterations: ${config.iterations}, Data Size: ${config.dataSize}, Async: ${config.asyncOps}`);
-      
-      // Warm up
-      await this.benchmarkWithoutALS(10, config.dataSize, config.asyncOps);
-      await this.benchmarkWithALS(10, config.dataSize, config.asyncOps);
-      
-      // Force garbage collection if available
-      if (global.gc) {
-        global.gc();
+  // Note: Distributed system benchmark removed - not needed for current analysis
+
+  /**
+   * Registers the built-in scenarios plus any found in the configured
+   * scenario directories. Safe to call more than once.
+   */
+  async loadScenarios() {
+    if (this.scenariosLoaded) {
+      return this.registry;
+    }
+
+    this.registry.registerAll(builtinScenarios);
+    for (const dir of this.options.scenarioDirs) {
+      await this.registry.loadDirectory(dir);
+    }
+
+    this.scenariosLoaded = true;
+    return this.registry;
+  }
+
+  /**
+   * Scenario defaults overlaid with the parameters from the benchmark config.
+   */
+  resolveParams(scenario) {
+    return { ...scenario.params, ...this.options.scenarioParams[scenario.id] };
+  }
+
+  /**
+   * Runs one scenario and returns its result entry for `results.benchmarks`.
+   *
+   * Scenarios with a baseline are measured as a baseline-vs-ALS pair:
+   * warm up both, then run without ALS and with ALS (as two blocks, or as
+   * interleaved rounds in "interleaved" execution mode) and optionally nested
+   * ALS against its own nested baseline, forcing garbage collection between
+   * runs. Scenarios without a baseline
+   * are run once and their result is recorded as-is.
+   */
+  async runScenario(scenario) {
+    const params = this.resolveParams(scenario);
+    const config = { name: scenario.name, test: scenario.id, ...params };
+
+    // Each scenario draws from its own streams, so it replays the same whether
+    // it runs alone, isolated or after other scenarios
+    this.random = createRandom(deriveSeed(this.seed, scenario.id));
+    this.blockOrderRandom = createRandom(deriveSeed(this.seed, `${scenario.id}:order`));
+
+    if (scenario.setup) {
+      await scenario.setup(this, params);
+    }
+
+    try {
+      if (!scenario.baseline) {
+        this.forceGC();
+        console.log(`  Running ${scenario.name}...`);
+        const result = await this.runPhase(() => scenario.withALS(this, params));
+        const profile = await this.profileScenario(scenario, params, { run: scenario.withALS });
+
+        return {
+          name: scenario.name,
+          ...(scenario.type && { type: scenario.type }),
+          config,
+          result,
+          ...(profile && { profile })
+        };
       }
-      
-      // Benchmark without ALS
-      console.log('  Running without AsyncLocalStorage...');
-      const withoutALS = await this.benchmarkWithoutALS(
-        config.iterations, 
-        config.dataSize, 
-        config.asyncOps
-      );
-      
-      // Force garbage collection if available
-      if (global.gc) {
-        global.gc();
+
+      const warmup = await this.warmUp(scenario, params);
+
+      // Adaptive warmup runs a timing-dependent number of batches; restart the
+      // stream so the measured runs see the same data on every replay
+      this.random = createRandom(deriveSeed(this.seed, `${scenario.id}:measured`));
+
+      const runners = {
+        sequential: () => this.runSequential(scenario, params),
+        interleaved: () => this.runInterleaved(scenario, params),
+        adaptive: () => this.runAdaptive(scenario, params)
+      };
+      const { withoutALS, withALS, rounds, precision } = await runners[this.options.execution.mode]();
+
+      let nestedWithoutALS;
+      let nestedALS;
+      if (scenario.nested) {
+        if (scenario.nestedBaseline) {
+          this.forceGC();
+
+          console.log('  Running nested without AsyncLocalStorage...');
+          nestedWithoutALS = await this.runPhase(() => scenario.nestedBaseline(this, params));
+        }
+
+        this.forceGC();
+
+        console.log('  Running with nested AsyncLocalStorage...');
+        nestedALS = await this.runPhase(() => scenario.nested(this, params));
       }
-      
-      // Benchmark with ALS
-      console.log('  Running with AsyncLocalStorage...');
-      const withALS = await this.benchmarkWithALS(
-        config.iterations, 
-        config.dataSize, 
-        config.asyncOps
-      );
-      
-      // Force garbage collection if available
-      if (global.gc) {
-        global.gc();
+
+      // Scenarios whose overheads are read as a breakdown always get a floor
+      const noiseFloor = this.options.noiseFloor.enabled || scenario.noiseFloor === true
+        ? await this.measureNoiseFloor(scenario, params)
+        : null;
+
+      const profile = await this.profileScenario(scenario, params, {
+        withoutALS: scenario.baseline,
+        withALS: scenario.withALS
+      });
+
+      // Adaptive mode reports the mean, since that is what its interval is for
+      let overheadPercent = ((withALS.duration - withoutALS.duration) / withoutALS.duration) * 100;
+      if (precision) {
+        overheadPercent = precision.mean;
+      } else if (rounds) {
+        overheadPercent = median(rounds.map(round => round.timePercent));
       }
-      
-      // Benchmark nested ALS
-      console.log('  Running with nested AsyncLocalStorage...');
-      const nestedALS = await this.benchmarkNestedALS(
-        Math.floor(config.iterations / 5), 
-        config.dataSize
-      );
-      
-      const overheadPercent = ((withALS.duration - withoutALS.duration) / withoutALS.duration) * 100;
-      const nestedOverheadPercent = ((nestedALS.duration - withoutALS.duration) / withoutALS.duration) * 100;
-      
-      const benchmark = {
-        name: config.name,
+
+      return {
+        name: scenario.name,
+        ...(scenario.type && { type: scenario.type }),
+        ...(scenario.sweep && { sweep: scenario.sweep }),
         config,
         withoutALS,
         withALS,
-        nestedALS,
+        ...(nestedWithoutALS && { nestedWithoutALS }),
+        ...(nestedALS && { nestedALS }),
+        ...(rounds && { rounds }),
+        warmup,
+        ...(noiseFloor && { noiseFloor }),
+        ...(profile && { profile }),
         overhead: {
           timePercent: overheadPercent,
-          nestedTimePercent: nestedOverheadPercent,
+          ...(noiseFloor && { significant: Math.abs(overheadPercent) > noiseFloor.floorPercent }),
+          // Measured before the timings settled, so JIT tier-up may still be in it
+          ...(warmup.converged !== undefined && { warmupConverged: warmup.converged }),
+          ...(rounds && {
+            totalTimePercent: ((withALS.duration - withoutALS.duration) / withoutALS.duration) * 100,
+            rounds: summarize(rounds.map(round => round.timePercent))
+          }),
+          ...(precision && { precision }),
+          ...(nestedWithoutALS && nestedALS && {
+            nestedTimePercent: ((nestedALS.duration - nestedWithoutALS.duration) / nestedWithoutALS.duration) * 100
+          }),
+          ...(withALS.gc && withoutALS.gc && { gc: gcOverhead(withoutALS, withALS) }),
+          ...(withALS.eventLoop && withoutALS.eventLoop && {
+            eventLoop: {
+              p99DelayMsDelta: (withALS.eventLoop.delay.p99 ?? 0) - (withoutALS.eventLoop.delay.p99 ?? 0),
+              utilizationDelta: withALS.eventLoop.utilization.utilization - withoutALS.eventLoop.utilization.utilization
+            }
+          }),
           memoryRSSBytes: withALS.memoryDelta.rss - withoutALS.memoryDelta.rss,
           memoryHeapBytes: withALS.memoryDelta.heapUsed - withoutALS.memoryDelta.heapUsed
         }
       };
-      
-      this.results.benchmarks.push(benchmark);
-      
-      console.log(`  Results:`);
-      console.log(`    Without ALS: ${withoutALS.duration.toFixed(2)}ms`);
-      console.log(`    With ALS: ${withALS.duration.toFixed(2)}ms`);
-      console.log(`    Nested ALS: ${nestedALS.duration.toFixed(2)}ms`);
-      console.log(`    Overhead: ${overheadPercent.toFixed(2)}%`);
-      console.log(`    Nested Overhead: ${nestedOverheadPercent.toFixed(2)}%`);
-      console.log(`    Memory Overhead (RSS): ${(benchmark.overhead.memoryRSSBytes / 1024 / 1024).toFixed(2)}MB`);
+    } finally {
+      if (scenario.teardown) {
+        await scenario.teardown(this, params);
+      }
     }
+  }
 
-    // Run AsyncContextFrame-specific tests (especially valuable for Node.js v24+)
-    console.log('\n' + '=' .repeat(60));
-    console.log('ASYNCCONTEXTFRAME PERFORMANCE TESTS');
-    console.log('=' .repeat(60));
-    console.log('These tests target specific improvements in Node.js v24.0.0+ AsyncContextFrame implementation:');
-    
-    for (const testConfig of asyncContextFrameTests) {
-      console.log(`\nTesting: ${testConfig.name}`);
-      
-      // Force garbage collection if available
-      if (global.gc) {
-        global.gc();
-      }
-      
-      let testResult;
-      let testName = testConfig.name;
-      
-      switch (testConfig.test) {
-        case 'contextSwitching':
-          console.log(`  Running high-frequency context switching (${testConfig.iterations} switches)...`);
-          testResult = await this.benchmarkHighFrequencyContextSwitching(testConfig.iterations);
-          break;
-          
-        case 'concurrent':
-          console.log(`  Running concurrent context operations (${testConfig.concurrency} concurrent, ${testConfig.operationsPerConcurrency} ops each)...`);
-          testResult = await this.benchmarkConcurrentContextOperations(testConfig.concurrency, testConfig.operationsPerConcurrency);
-          break;
-          
-        case 'propagation':
-          console.log(`  Running context propagation stress test (${testConfig.chains} chains, depth ${testConfig.depth})...`);
-          testResult = await this.benchmarkContextPropagationStress(testConfig.chains, testConfig.depth);
-          break;
-          
-        default:
-          console.log(`  Unknown test type: ${testConfig.test}`);
-          continue;
+  /**
+   * Warms up both sides of a paired scenario before measuring.
+   *
+   * "fixed" runs each side once with `warmupIterations`. "adaptive" keeps
+   * running baseline and ALS batches (a `batchFraction` share of the
+   * scenario's iterations, at least `warmupIterations`) until both sides have
+   * settled by the plateau or CV rule (see warmup.js). Tier-up shows up as
+   * falling batch times, so neither rule fires while hot paths are still being
+   * optimized.
+   *
+   * A batch pair whose faster side takes less than `minBatchMs` is too short
+   * to time reliably, so the batch size doubles (up to the scenario's full
+   * iteration count) and the timings start over; the cap therefore scales with
+   * how cheap a batch is. `maxBatches` caps the batches at the final size; a
+   * warmup that hits it is recorded with `converged: false`, flagged next to
+   * the overhead and listed in the summary. Returns what was done, including
+   * the discarded batch timings, for the result entry.
+   */
+  async warmUp(scenario, params) {
+    const { mode, batchFraction, window, maxCV, maxBatches, minBatchMs } = this.options.warmup;
+    const { warmupIterations } = this.options;
+
+    if (mode === 'fixed') {
+      const warmupParams = { ...params, iterations: warmupIterations };
+      await scenario.baseline(this, warmupParams);
+      await scenario.withALS(this, warmupParams);
+      return { mode, iterations: warmupIterations };
+    }
+
+    const sized = typeof params.iterations === 'number';
+    let batchIterations = sized
+      ? Math.max(warmupIterations, Math.ceil(params.iterations * batchFraction))
+      : warmupIterations;
+    let timings = { baseline: [], withALS: [] };
+    let iterations = 0;
+
+    let rule = null;
+    while (timings.baseline.length < maxBatches) {
+      const batchParams = { ...params, iterations: batchIterations };
+      const baselineMs = (await scenario.baseline(this, batchParams)).duration;
+      const withALSMs = (await scenario.withALS(this, batchParams)).duration;
+      timings.baseline.push(baselineMs);
+      timings.withALS.push(withALSMs);
+      iterations += batchIterations;
+
+      const grown = sized
+        ? nextBatchIterations(batchIterations, Math.min(baselineMs, withALSMs), {
+          minBatchMs,
+          maxIterations: Math.max(batchIterations, params.iterations)
+        })
+        : batchIterations;
+      if (grown !== batchIterations) {
+        batchIterations = grown;
+        timings = { baseline: [], withALS: [] };
+        continue;
       }
-      
-      const benchmark = {
-        name: testName,
-        type: 'asyncContextFrame',
-        config: testConfig,
-        result: testResult
-      };
-      
-      this.results.benchmarks.push(benchmark);
-      
-      console.log(`  Results:`);
-      console.log(`    Duration: ${testResult.duration.toFixed(2)}ms`);
-      
-      if (testResult.contextSwitchesPerSecond) {
-        console.log(`    Context Switches/sec: ${testResult.contextSwitchesPerSecond.toFixed(0)}`);
+
+      rule = warmupStopRule(timings, { window, maxCV });
+      if (rule) {
+        break;
       }
-      
-      if (testResult.operationsPerSecond) {
-        console.log(`    Operations/sec: ${testResult.operationsPerSecond.toFixed(0)}`);
+    }
+
+    const batches = timings.baseline.length;
+    const windowCV = (values) => (batches >= window ? coefficientOfVariation(values.slice(-window)) : null);
+    console.log(`  Warmup: ${batches} batches of ${batchIterations} iterations (${rule ? `converged by ${rule}` : `hit cap of ${maxBatches}, not converged`})`);
+
+    return {
+      mode,
+      batchIterations,
+      batches,
+      iterations,
+      maxBatches,
+      converged: rule !== null,
+      rule: rule ?? 'cap',
+      cv: {
+        baseline: windowCV(timings.baseline),
+        withALS: windowCV(timings.withALS)
+      },
+      timings
+    };
+  }
+
+  /**
+   * A/A run: the baseline measured against itself, in the same execution mode
+   * as the baseline-vs-ALS comparison, so whatever "overhead" it shows is
+   * noise. An ALS overhead no larger than the resulting floor can't be told
+   * apart from run-to-run variation.
+   *
+   * In sequential mode the A/A pair is repeated `noiseFloor.repetitions` times
+   * and the floor is the largest absolute A/A difference. In interleaved and
+   * adaptive mode the A/A rounds are estimated like the real ones (median or
+   * mean per-round difference) and the floor is that estimate's absolute value
+   * plus its confidence interval half-width.
+   */
+  async measureNoiseFloor(scenario, params) {
+    const { mode, target } = this.options.execution;
+
+    if (mode === 'sequential') {
+      const { repetitions } = this.options.noiseFloor;
+      console.log(`  Measuring noise floor (${repetitions} A/A baseline pairs)...`);
+
+      const samples = [];
+      for (let repetition = 0; repetition < repetitions; repetition++) {
+        this.forceGC();
+        const first = await this.runPhase(() => scenario.baseline(this, params));
+        this.forceGC();
+        const second = await this.runPhase(() => scenario.baseline(this, params));
+        samples.push(((second.duration - first.duration) / first.duration) * 100);
       }
-      
-      if (testResult.contextMixingErrors !== undefined) {
-        console.log(`    Context Mixing Errors: ${testResult.contextMixingErrors} (${((testResult.contextMixingErrors / testResult.totalOperations) * 100).toFixed(2)}%)`);
+
+      return {
+        mode,
+        method: 'maxAbs',
+        samples,
+        aaPercent: median(samples),
+        floorPercent: Math.max(...samples.map(Math.abs))
+      };
+    }
+
+    console.log('  Measuring noise floor (A/A rounds, baseline against itself)...');
+    const aaScenario = { ...scenario, withALS: scenario.baseline };
+    const { rounds, precision } = mode === 'adaptive'
+      ? await this.runAdaptive(aaScenario, params)
+      : await this.runInterleaved(aaScenario, params);
+
+    const samples = rounds.map(round => round.timePercent);
+    const aaPercent = precision ? precision.mean : median(samples);
+    const { halfWidth } = confidenceInterval(samples, target.confidence);
+
+    return {
+      mode,
+      method: 'ci',
+      confidence: target.confidence,
+      samples,
+      aaPercent,
+      halfWidth: Number.isFinite(halfWidth) ? halfWidth : null,
+      floorPercent: Math.abs(aaPercent) + (Number.isFinite(halfWidth) ? halfWidth : 0)
+    };
+  }
+
+  /**
+   * With `core.profile` naming this scenario, runs each of the given phases
+   * once more under the CPU profiler, after the measured runs so profiling
+   * overhead never ends up in the timings. Returns the self-time summary per
+   * phase; the raw profiles ride along as `cpuprofile` until saveResults()
+   * writes them to .cpuprofile files.
+   */
+  async profileScenario(scenario, params, phases) {
+    if (!this.options.profile.includes(scenario.id)) {
+      return null;
+    }
+
+    const profiler = new CPUProfiler();
+    const profile = { samplingIntervalUs: profiler.samplingIntervalUs, phases: {} };
+
+    try {
+      for (const [phase, fn] of Object.entries(phases)) {
+        this.forceGC();
+        console.log(`  Profiling ${phase}...`);
+        const { profile: cpuprofile } = await profiler.profile(() => fn(this, params));
+        profile.phases[phase] = { ...CPUProfiler.summarize(cpuprofile), cpuprofile };
       }
-      
-      if (testResult.successfulChains !== undefined) {
-        console.log(`    Successful Chains: ${testResult.successfulChains}/${testConfig.chains} (${((testResult.successfulChains / testConfig.chains) * 100).toFixed(2)}%)`);
+    } finally {
+      profiler.dispose();
+    }
+
+    return profile;
+  }
+
+  /**
+   * Runs one measured phase (a baseline, ALS or nested block) and attaches the
+   * GC activity that happened during it as `result.gc` and its event loop
+   * delay and utilization as `result.eventLoop`.
+   */
+  async runPhase(fn) {
+    const { value: { value: result, gc }, eventLoop } = await this.eventLoopMonitor.measure(() => this.gcMonitor.measure(fn));
+    if (result && typeof result === 'object') {
+      result.gc = gc;
+      result.eventLoop = eventLoop;
+    }
+    return result;
+  }
+
+  /**
+   * Whether a scenario runs in its own child process: every scenario with
+   * `core.isolation: "scenario"`, and those that declare `isolate: true`
+   * because they need a process no other scenario has touched.
+   */
+  isolates(scenario) {
+    return this.options.isolation === 'scenario' || scenario.isolate === true;
+  }
+
+  /**
+   * Runs one scenario in a freshly forked Node.js process (same execArgv, so
+   * --expose-gc and friends carry over) and resolves to the result entry the
+   * child sends back, see scenario-child.js.
+   */
+  runScenarioIsolated(scenario) {
+    const { registry, ...options } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const child = fork(SCENARIO_CHILD_SCRIPT, [], { execArgv: process.execArgv });
+      let reply = null;
+
+      child.on('message', message => {
+        reply = message;
+      });
+      child.on('error', reject);
+      child.on('exit', code => {
+        if (reply?.type === 'result') {
+          resolve({ ...reply.benchmark, isolated: true });
+        } else if (reply?.type === 'error') {
+          reject(new Error(`Scenario ${scenario.id} failed in child process:\n${reply.message}`));
+        } else {
+          reject(new Error(`Scenario ${scenario.id} child process exited with code ${code} without a result`));
+        }
+      });
+
+      child.send({ type: 'run', options: { ...options, seed: this.seed }, scenarioId: scenario.id });
+    });
+  }
+
+  /**
+   * Runs the baseline as one block and then the ALS variant as a second block.
+   */
+  async runSequential(scenario, params) {
+    this.forceGC();
+
+    // Benchmark without ALS
+    console.log('  Running without AsyncLocalStorage...');
+    const withoutALS = await this.runPhase(() => scenario.baseline(this, params));
+
+    this.forceGC();
+
+    // Benchmark with ALS
+    console.log('  Running with AsyncLocalStorage...');
+    const withALS = await this.runPhase(() => scenario.withALS(this, params));
+
+    return { withoutALS, withALS };
+  }
+
+  /**
+   * Splits the iterations into rounds and runs baseline and ALS blocks
+   * back to back inside each round, so drift in CPU frequency, GC state or
+   * JIT tiering hits both sides equally instead of showing up as overhead.
+   *
+   * With order "abab" every round runs the baseline first; with "random"
+   * each round picks its block order at random. The per-round overheads are
+   * returned alongside the combined baseline and ALS results.
+   */
+  async runInterleaved(scenario, params) {
+    const { rounds: roundCount, order } = this.options.execution;
+    const roundParams = this.roundParams(params);
+
+    console.log(`  Running ${roundCount} interleaved rounds (${order} order)...`);
+
+    const collected = { baseline: [], withALS: [], rounds: [] };
+    for (let round = 0; round < roundCount; round++) {
+      await this.runRound(scenario, roundParams, collected);
+    }
+
+    return {
+      withoutALS: combineRunResults(collected.baseline),
+      withALS: combineRunResults(collected.withALS),
+      rounds: collected.rounds
+    };
+  }
+
+  /**
+   * Interleaved rounds without a fixed round count: keeps sampling until the
+   * confidence interval of the mean per-round overhead is at most
+   * `target.ciHalfWidth` percentage points wide on either side, or until the
+   * time budget or round cap is hit (never before `target.minRounds`).
+   * Round size is the same as in interleaved mode, so total iterations vary
+   * per scenario while precision is comparable.
+   */
+  async runAdaptive(scenario, params) {
+    const { order, target } = this.options.execution;
+    const { ciHalfWidth, confidence, budgetMs, minRounds, maxRounds } = target;
+    const roundParams = this.roundParams(params);
+
+    console.log(`  Sampling rounds until ±${ciHalfWidth}% at ${confidence * 100}% confidence (budget ${budgetMs}ms, ${order} order)...`);
+
+    const collected = { baseline: [], withALS: [], rounds: [] };
+    const startTime = performance.now();
+    let stopReason = 'maxRounds';
+    let interval;
+
+    while (collected.rounds.length < maxRounds) {
+      await this.runRound(scenario, roundParams, collected);
+      interval = confidenceInterval(collected.rounds.map(round => round.timePercent), confidence);
+
+      if (collected.rounds.length < minRounds) {
+        continue;
+      }
+      if (interval.halfWidth <= ciHalfWidth) {
+        stopReason = 'target';
+        break;
+      }
+      if (performance.now() - startTime >= budgetMs) {
+        stopReason = 'budget';
+        break;
+      }
+    }
+
+    return {
+      withoutALS: combineRunResults(collected.baseline),
+      withALS: combineRunResults(collected.withALS),
+      rounds: collected.rounds,
+      precision: {
+        ...interval,
+        halfWidth: Number.isFinite(interval.halfWidth) ? interval.halfWidth : null,
+        lower: Number.isFinite(interval.lower) ? interval.lower : null,
+        upper: Number.isFinite(interval.upper) ? interval.upper : null,
+        targetHalfWidth: ciHalfWidth,
+        targetMet: stopReason === 'target',
+        stopReason,
+        rounds: collected.rounds.length,
+        iterations: collected.rounds.length * (roundParams.iterations ?? 1),
+        elapsedMs: performance.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Per-round parameters for interleaved and adaptive execution: the
+   * scenario's iterations split evenly over `execution.rounds`.
+   */
+  roundParams(params) {
+    const { rounds: roundCount } = this.options.execution;
+    return typeof params.iterations === 'number'
+      ? { ...params, iterations: Math.max(1, Math.ceil(params.iterations / roundCount)) }
+      : params;
+  }
+
+  /**
+   * Runs one baseline block and one ALS block back to back (in "abab" or
+   * random order) and appends the results and per-round overhead to
+   * `collected`.
+   */
+  async runRound(scenario, roundParams, collected) {
+    const { order } = this.options.execution;
+    const alsFirst = order === 'random' && this.blockOrderRandom() < 0.5;
+    const blocks = alsFirst ? ['withALS', 'baseline'] : ['baseline', 'withALS'];
+    const roundResults = {};
+
+    for (const block of blocks) {
+      this.forceGC();
+      roundResults[block] = await this.runPhase(() => scenario[block](this, roundParams));
+    }
+
+    collected.baseline.push(roundResults.baseline);
+    collected.withALS.push(roundResults.withALS);
+    collected.rounds.push({
+      round: collected.rounds.length + 1,
+      order: blocks,
+      withoutALSDuration: roundResults.baseline.duration,
+      withALSDuration: roundResults.withALS.duration,
+      timePercent: ((roundResults.withALS.duration - roundResults.baseline.duration) / roundResults.baseline.duration) * 100
+    });
+  }
+
+
+  printScenarioResult(benchmark) {
+    if (benchmark.profile) {
+      this.printProfile(benchmark.profile);
+    }
+    console.log(`  Results:`);
+
+    if (benchmark.withoutALS) {
+      console.log(`    Without ALS: ${benchmark.withoutALS.duration.toFixed(2)}ms${formatLatency(benchmark.withoutALS)}`);
+      console.log(`    With ALS: ${benchmark.withALS.duration.toFixed(2)}ms${formatLatency(benchmark.withALS)}`);
+      if (benchmark.nestedWithoutALS) {
+        console.log(`    Nested without ALS: ${benchmark.nestedWithoutALS.duration.toFixed(2)}ms${formatLatency(benchmark.nestedWithoutALS)}`);
+      }
+      if (benchmark.nestedALS) {
+        console.log(`    Nested ALS: ${benchmark.nestedALS.duration.toFixed(2)}ms${formatLatency(benchmark.nestedALS)}`);
+      }
+      const notes = [];
+      if (benchmark.noiseFloor) {
+        const verdict = benchmark.overhead.significant ? 'significant' : 'within noise';
+        notes.push(`${verdict}, noise floor ±${benchmark.noiseFloor.floorPercent.toFixed(2)}%, A/A ${benchmark.noiseFloor.aaPercent.toFixed(2)}%`);
+      } else {
+        notes.push('noise floor not measured');
+      }
+      if (benchmark.overhead.warmupConverged === false) {
+        notes.push('⚠️  warmup not converged');
+      }
+      console.log(`    Overhead: ${benchmark.overhead.timePercent.toFixed(2)}%${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`);
+      if (benchmark.overhead.rounds) {
+        const rounds = benchmark.overhead.rounds;
+        console.log(`    Overhead per Round: median ${rounds.median.toFixed(2)}%, range ${rounds.min.toFixed(2)}% to ${rounds.max.toFixed(2)}%, stddev ${rounds.stddev.toFixed(2)} (${rounds.count} rounds)`);
+      }
+      if (benchmark.overhead.precision) {
+        const precision = benchmark.overhead.precision;
+        const halfWidth = precision.halfWidth === null ? 'n/a' : `±${precision.halfWidth.toFixed(2)}%`;
+        console.log(`    Precision: ${halfWidth} at ${precision.confidence * 100}% confidence after ${precision.rounds} rounds ` +
+          `(${precision.targetMet ? '✅ target met' : `⚠️  stopped by ${precision.stopReason}`}, ${(precision.elapsedMs / 1000).toFixed(1)}s)`);
+      }
+      if (benchmark.withALS.requestsPerSecond !== undefined) {
+        console.log(`    Requests/sec: ${benchmark.withoutALS.requestsPerSecond.toFixed(0)} without ALS, ${benchmark.withALS.requestsPerSecond.toFixed(0)} with ALS`);
+      }
+      if (benchmark.withALS.contextLost !== undefined) {
+        console.log(`    Context Lost: ${benchmark.withALS.contextLost}${benchmark.withALS.contextLost > 0 ? ' ❌' : ' ✅'}`);
+      }
+      if (benchmark.overhead.nestedTimePercent !== undefined) {
+        console.log(`    Nested Overhead: ${benchmark.overhead.nestedTimePercent.toFixed(2)}%`);
+      }
+      if (benchmark.overhead.gc) {
+        const formatGC = (gc) => `${gc.count} (${gc.major} major), ${gc.totalPauseMs.toFixed(2)}ms paused, longest ${gc.longestPauseMs.toFixed(2)}ms`;
+        const share = benchmark.overhead.gc.shareOfOverheadPercent;
+        console.log(`    GC without ALS: ${formatGC(benchmark.withoutALS.gc)}`);
+        console.log(`    GC with ALS: ${formatGC(benchmark.withALS.gc)}`);
+        console.log(`    GC Share of Overhead: ${share === null ? 'n/a (no overhead)' : `${share.toFixed(2)}%`}`);
+      }
+      if (benchmark.withALS.eventLoop && benchmark.withoutALS.eventLoop) {
+        console.log(`    Event Loop without ALS: ${formatEventLoop(benchmark.withoutALS.eventLoop)}`);
+        console.log(`    Event Loop with ALS: ${formatEventLoop(benchmark.withALS.eventLoop)}`);
+      }
+      console.log(`    Memory Overhead (RSS): ${(benchmark.overhead.memoryRSSBytes / 1024 / 1024).toFixed(2)}MB`);
+      return;
+    }
+
+    const testResult = benchmark.result;
+    console.log(`    Duration: ${testResult.duration.toFixed(2)}ms`);
+    
+    if (testResult.contextSwitchesPerSecond) {
+      console.log(`    Context Switches/sec: ${testResult.contextSwitchesPerSecond.toFixed(0)}`);
+    }
+    
+    if (testResult.operationsPerSecond) {
+      console.log(`    Operations/sec: ${testResult.operationsPerSecond.toFixed(0)}`);
+    }
+    
+    if (testResult.contextMixingErrors !== undefined) {
+      console.log(`    Context Mixing Errors: ${testResult.contextMixingErrors} (${((testResult.contextMixingErrors / testResult.totalOperations) * 100).toFixed(2)}%)`);
+    }
+    
+    if (testResult.variants) {
+      for (const [name, variant] of Object.entries(testResult.variants)) {
+        console.log(`    ${name}: ${variant.duration.toFixed(2)}ms (${variant.perOpNs.toFixed(0)}ns/op)`);
+      }
+      for (const [name, gap] of Object.entries(testResult.gaps)) {
+        console.log(`    Gap ${name}: ${gap.perOpNs.toFixed(0)}ns/op (${gap.percentOfNone.toFixed(2)}% of no-hooks time${gap.significant ? '' : ', within noise'})`);
+      }
+      console.log(`    Noise floor: ±${testResult.noiseFloor.floorPercent.toFixed(2)}% (no-hooks A/A)`);
+    }
+    
+    if (testResult.successfulChains !== undefined) {
+      console.log(`    Successful Chains: ${testResult.successfulChains}/${benchmark.config.chains} (${((testResult.successfulChains / benchmark.config.chains) * 100).toFixed(2)}%)`);
+    }
+    
+    if (testResult.eventLoop) {
+      console.log(`    Event Loop: ${formatEventLoop(testResult.eventLoop)}`);
+    }
+    
+    if (testResult.gc) {
+      console.log(`    GC: ${testResult.gc.count} (${testResult.gc.major} major), ${testResult.gc.totalPauseMs.toFixed(2)}ms paused, longest ${testResult.gc.longestPauseMs.toFixed(2)}ms`);
+    }
+    
+    console.log(`    Memory Usage (RSS): ${(testResult.memoryDelta.rss / 1024 / 1024).toFixed(2)}MB`);
+  }
+
+  printProfile(profile) {
+    console.log(`  CPU Profile (self time, ${profile.samplingIntervalUs}µs sampling):`);
+    for (const [phase, summary] of Object.entries(profile.phases)) {
+      const categories = Object.entries(summary.categories)
+        .filter(([, category]) => category.selfMs > 0)
+        .sort(([, a], [, b]) => b.selfMs - a.selfMs)
+        .map(([name, category]) => `${name} ${category.percent.toFixed(1)}%`)
+        .join(', ');
+      console.log(`    ${phase} (${summary.sampleCount} samples, ${summary.durationMs.toFixed(2)}ms): ${categories}`);
+      for (const entry of summary.topFunctions.slice(0, 5)) {
+        const location = entry.url ? ` ${entry.url.replace(/^file:\/\//, '')}:${entry.line}` : '';
+        console.log(`      ${entry.selfPercent.toFixed(1).padStart(5)}% ${entry.functionName}${location} [${entry.category}]`);
+      }
+    }
+  }
+
+  /**
+   * Self-check for dead-code elimination: runs each selected scenario's phases
+   * at `selfCheck.multipliers` times its iteration count (the fastest of
+   * `selfCheck.repetitions` runs per size, to keep GC and timer noise out)
+   * and fits how the duration scales. Real work scales linearly (exponent ~1); a phase whose
+   * exponent is below `minExponent` spends its time in fixed costs, which
+   * usually means the per-iteration work was optimized away. Phases that put
+   * nothing through the result sink are flagged too.
+   *
+   * Scenarios without a numeric `iterations` parameter are skipped, and so are
+   * scenarios that opt out with `selfCheck: false`: I/O-bound ones such as the
+   * HTTP server have fixed connection costs that make them scale sublinearly
+   * without any work being eliminated.
+   */
+  async runSelfCheck() {
+    const { multipliers, repetitions, minExponent } = this.options.selfCheck;
+    const report = {
+      nodeVersion: process.version,
+      platform: process.platform,
+      arch: process.arch,
+      timestamp: new Date().toISOString(),
+      asyncContextFrame: this.results.asyncContextFrame,
+      seed: this.seed,
+      multipliers,
+      repetitions,
+      minExponent,
+      scenarios: []
+    };
+
+    await this.loadScenarios();
+    const scenarios = this.registry.list({ ids: this.options.scenarios, tags: this.options.tags })
+      .filter(scenario => this.registry.isSupported(scenario));
+
+    for (const scenario of scenarios) {
+      const params = this.resolveParams(scenario);
+      if (scenario.selfCheck === false) {
+        report.scenarios.push({ scenario: scenario.id, name: scenario.name, skipped: 'opted out (I/O-bound)' });
+        continue;
+      }
+      if (typeof params.iterations !== 'number') {
+        report.scenarios.push({ scenario: scenario.id, name: scenario.name, skipped: 'no iterations parameter' });
+        continue;
+      }
+
+      console.log(`🔎 Checking that ${scenario.name} scales with its iterations...`);
+      this.random = createRandom(deriveSeed(this.seed, `${scenario.id}:self-check`));
+      const phases = scenario.baseline
+        ? { baseline: scenario.baseline, withALS: scenario.withALS }
+        : { withALS: scenario.withALS };
+      const entry = { scenario: scenario.id, name: scenario.name, phases: {} };
+
+      if (scenario.setup) {
+        await scenario.setup(this, params);
+      }
+      try {
+        for (const [phase, fn] of Object.entries(phases)) {
+          // One unmeasured run so tier-up does not inflate the smallest size
+          await fn(this, params);
+
+          const points = [];
+          for (const multiplier of multipliers) {
+            const iterations = Math.max(1, Math.round(params.iterations * multiplier));
+            const sunk = consumed();
+            let duration = Infinity;
+            for (let repetition = 0; repetition < repetitions; repetition++) {
+              this.forceGC();
+              duration = Math.min(duration, (await fn(this, { ...params, iterations })).duration);
+            }
+            points.push({ iterations, duration, sunk: consumed() - sunk });
+          }
+
+          const exponent = scalingExponent(points);
+          const issues = [];
+          if (exponent === null || exponent < minExponent) {
+            issues.push('time does not scale with iterations (work may be eliminated)');
+          }
+          if (points.some(point => point.sunk === 0)) {
+            issues.push('no values routed through the result sink');
+          }
+          entry.phases[phase] = { points, exponent, linear: issues.length === 0, issues };
+        }
+      } finally {
+        if (scenario.teardown) {
+          await scenario.teardown(this, params);
+        }
+      }
+
+      report.scenarios.push(entry);
+    }
+
+    return report;
+  }
+
+  printSelfCheck(report) {
+    console.log('\n' + '=' .repeat(60));
+    console.log(`SELF-CHECK: TIME VS ITERATIONS (${report.nodeVersion}, multipliers ${report.multipliers.join('/')})`);
+    console.log('=' .repeat(60));
+
+    let flagged = 0;
+    for (const entry of report.scenarios) {
+      if (entry.skipped) {
+        console.log(`⏭️  ${entry.name}: ${entry.skipped}`);
+        continue;
+      }
+      for (const [phase, check] of Object.entries(entry.phases)) {
+        const durations = check.points.map(point => `${point.duration.toFixed(2)}ms`).join(' → ');
+        const exponent = check.exponent === null ? 'n/a' : check.exponent.toFixed(2);
+        console.log(`${check.linear ? '✅' : '⚠️ '} ${entry.name} [${phase}]: exponent ${exponent} (${durations})`);
+        for (const issue of check.issues) {
+          console.log(`     ${issue}`);
+        }
+        flagged += check.linear ? 0 : 1;
+      }
+    }
+
+    console.log(flagged === 0
+      ? '\nAll checked phases scale linearly with their iteration count'
+      : `\n${flagged} phase(s) below exponent ${report.minExponent} or not using the sink - their timings may not measure real work`);
+  }
+
+  async saveSelfCheck(report) {
+    const resultsDir = path.join(process.cwd(), 'public', 'results');
+    await fs.mkdir(resultsDir, { recursive: true });
+
+    const filepath = path.join(resultsDir, `self-check_${report.nodeVersion.replace(/\./g, '_')}_${Date.now()}.json`);
+    await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+    console.log(`\nSelf-check saved to: ${filepath}`);
+    return filepath;
+  }
+
+  forceGC() {
+    // Force garbage collection if available
+    if (global.gc) {
+      global.gc();
+    }
+  }
+
+  /**
+   * Runs the complete AsyncLocalStorage benchmark suite
+   * 
+   * Scenarios come from the scenario registry (see scenario-registry.js and
+   * the modules in src/scenarios/). Baseline-vs-ALS scenarios run first,
+   * followed by the single-run scenarios such as the AsyncContextFrame tests:
+   * 
+   * - HIGH-FREQUENCY CONTEXT SWITCHING: Rapid context creation/switching
+   * - CONCURRENT CONTEXT OPERATIONS: High concurrency with context isolation
+   * - CONTEXT PROPAGATION STRESS: Deep async chains with context passing
+   * 
+   * These target the areas where AsyncContextFrame provides the most dramatic
+   * performance improvements compared to the traditional async hooks
+   * implementation.
+   * 
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Write the result file; comparison
+   *   children pass false and hand their results to the parent instead
+   */
+  async runBenchmarks({ save = true } = {}) {
+    this.results.environment = await collectEnvironment();
+
+    console.log(`Starting AsyncLocalStorage benchmarks on Node.js ${process.version}`);
+    console.log(`Platform: ${process.platform} ${process.arch}`);
+    console.log(`Environment: ${describeEnvironment(this.results.environment)}`);
+    console.log(`AsyncLocalStorage implementation: ${this.results.asyncContextFrame.implementation}`);
+    if (this.options.isolation === 'scenario') {
+      console.log('Isolation: each scenario runs in its own child process');
+    }
+    console.log('=' .repeat(60));
+
+    await this.loadScenarios();
+    const selected = this.registry.list({ ids: this.options.scenarios, tags: this.options.tags });
+    const scenarios = [];
+
+    for (const scenario of selected) {
+      if (this.registry.isSupported(scenario)) {
+        scenarios.push(scenario);
+        continue;
       }
+
+      const reason = scenario.requires
+        ? `requires ${scenario.requires}`
+        : `not supported on Node.js ${process.version}`;
+      this.results.skipped.push({ name: scenario.name, test: scenario.id, reason });
+      console.log(`⏭️  Skipping ${scenario.name}: ${reason}`);
+    }
+
+    const pairedScenarios = scenarios.filter(scenario => scenario.baseline);
+    const singleRunScenarios = scenarios.filter(scenario => !scenario.baseline);
+
+    for (const scenario of pairedScenarios) {
+      console.log(`\nTesting: ${scenario.name}`);
+      console.log(`Parameters: ${formatParams(this.resolveParams(scenario))}`);
       
-      console.log(`    Memory Usage (RSS): ${(testResult.memoryDelta.rss / 1024 / 1024).toFixed(2)}MB`);
+      const benchmark = this.isolates(scenario)
+        ? await this.runScenarioIsolated(scenario)
+        : await this.runScenario(scenario);
+      this.results.benchmarks.push(benchmark);
+      this.printScenarioResult(benchmark);
+    }
+
+    if (singleRunScenarios.length > 0) {
+      // Run AsyncContextFrame-specific tests (especially valuable for Node.js v24+)
+      console.log('\n' + '=' .repeat(60));
+      console.log('ASYNCCONTEXTFRAME PERFORMANCE TESTS');
+      console.log('=' .repeat(60));
+      console.log('These tests target specific improvements in Node.js v24.0.0+ AsyncContextFrame implementation:');
+    }
+    
+    for (const scenario of singleRunScenarios) {
+      console.log(`\nTesting: ${scenario.name}`);
+      console.log(`Parameters: ${formatParams(this.resolveParams(scenario))}`);
+      
+      const benchmark = this.isolates(scenario)
+        ? await this.runScenarioIsolated(scenario)
+        : await this.runScenario(scenario);
+      this.results.benchmarks.push(benchmark);
+      this.printScenarioResult(benchmark);
     }
     
     // Note: Distributed system benchmark removed - not needed for current analysis
     
+    const sweeps = analyzeSweeps(this.results.benchmarks);
+    if (sweeps.length > 0) {
+      this.results.sweeps = sweeps;
+    }
+    
+    this.gcMonitor.stop();
+    
     // Save results
-    await this.saveResults();
+    if (save) {
+      await this.saveResults();
+    }
     this.printSummary();
   }
 
@@ -757,19 +1893,35 @@ class AsyncLocalStorageBenchmark {
     console.log('=' .repeat(60));
     
     // Separate traditional benchmarks from AsyncContextFrame tests
-    const traditionalBenchmarks = this.results.benchmarks.filter(b => !b.type || b.type !== 'asyncContextFrame');
+    const traditionalBenchmarks = this.results.benchmarks.filter(b => b.withoutALS);
     const asyncContextFrameBenchmarks = this.results.benchmarks.filter(b => b.type === 'asyncContextFrame');
     
     if (traditionalBenchmarks.length > 0) {
-      const avgOverhead = traditionalBenchmarks.reduce((sum, b) => sum + (b.overhead?.timePercent || 0), 0) / traditionalBenchmarks.length;
-      const avgNestedOverhead = traditionalBenchmarks.reduce((sum, b) => sum + (b.overhead?.nestedTimePercent || 0), 0) / traditionalBenchmarks.length;
-      const totalMemoryOverhead = traditionalBenchmarks.reduce((sum, b) => sum + (b.overhead?.memoryRSSBytes || 0), 0);
+      // The headline figures stay on the original data size matrix, so they can
+      // be compared with earlier runs; the other families are reported below
+      const dataSizeBenchmarks = traditionalBenchmarks.filter(b => this.registry.get(b.config?.test)?.tags.includes('data-size'));
+      const headlineBenchmarks = dataSizeBenchmarks.length > 0 ? dataSizeBenchmarks : traditionalBenchmarks;
+      const otherBenchmarks = traditionalBenchmarks.filter(b => !headlineBenchmarks.includes(b));
+      const nestedBenchmarks = headlineBenchmarks.filter(b => typeof b.overhead?.nestedTimePercent === 'number');
+      
+      const avgOverhead = headlineBenchmarks.reduce((sum, b) => sum + (b.overhead?.timePercent || 0), 0) / headlineBenchmarks.length;
+      const avgNestedOverhead = nestedBenchmarks.length > 0
+        ? nestedBenchmarks.reduce((sum, b) => sum + b.overhead.nestedTimePercent, 0) / nestedBenchmarks.length
+        : null;
+      const totalMemoryOverhead = headlineBenchmarks.reduce((sum, b) => sum + (b.overhead?.memoryRSSBytes || 0), 0);
+      const scope = dataSizeBenchmarks.length > 0 ? 'data size scenarios' : 'scenarios';
       
       console.log(`Node.js Version: ${this.results.nodeVersion}`);
-      console.log(`Average AsyncLocalStorage Overhead: ${avgOverhead.toFixed(2)}%`);
-      console.log(`Average Nested ALS Overhead: ${avgNestedOverhead.toFixed(2)}%`);
+      console.log(`Average AsyncLocalStorage Overhead: ${avgOverhead.toFixed(2)}% (${headlineBenchmarks.length} ${scope})`);
+      if (avgNestedOverhead !== null) {
+        console.log(`Average Nested ALS Overhead: ${avgNestedOverhead.toFixed(2)}% (${nestedBenchmarks.length} ${scope} with a nested run)`);
+      }
       console.log(`Total Memory Overhead: ${(totalMemoryOverhead / 1024 / 1024).toFixed(2)}MB`);
       
+      if (otherBenchmarks.length > 0) {
+        this.printFamilyOverheads(otherBenchmarks);
+      }
+      
       console.log('\nTraditional Usage Recommendations:');
       if (avgOverhead < 5) {
         console.log('✅ AsyncLocalStorage overhead is minimal for most use cases');
@@ -779,9 +1931,70 @@ class AsyncLocalStorageBenchmark {
         console.log('❌ AsyncLocalStorage has significant overhead - use with caution');
       }
       
-      if (avgNestedOverhead > avgOverhead * 2) {
+      if (avgNestedOverhead !== null && avgNestedOverhead > avgOverhead * 2) {
         console.log('⚠️  Nested AsyncLocalStorage calls significantly increase overhead');
       }
+      
+      const unconverged = traditionalBenchmarks.filter(b => b.warmup?.converged === false);
+      if (unconverged.length > 0) {
+        console.log(`\nWarmup: ${unconverged.length} of ${traditionalBenchmarks.length} scenarios hit the batch cap without converging`);
+        for (const b of unconverged) {
+          console.log(`  ⚠️  ${b.name}: ${b.warmup.batches} of ${b.warmup.maxBatches} batches`);
+        }
+      }
+      
+      const measuredNoise = traditionalBenchmarks.filter(b => b.noiseFloor);
+      if (measuredNoise.length > 0) {
+        const withinNoise = measuredNoise.filter(b => !b.overhead.significant);
+        console.log(`\nNoise Floor: ${measuredNoise.length - withinNoise.length} of ${measuredNoise.length} overheads are significant`);
+        for (const b of withinNoise) {
+          console.log(`  ≈ ${b.name}: ${b.overhead.timePercent.toFixed(2)}% is within noise (±${b.noiseFloor.floorPercent.toFixed(2)}%)`);
+        }
+      }
+    }
+    
+    const instanceBenchmarks = traditionalBenchmarks.filter(b => typeof b.config?.instances === 'number');
+    if (instanceBenchmarks.length > 0) {
+      this.printInstanceScaling(instanceBenchmarks);
+    }
+    
+    if (this.results.sweeps) {
+      this.printSweeps(this.results.sweeps);
+    }
+    
+    const httpBenchmarks = traditionalBenchmarks.filter(b => b.withALS.requestsPerSecond !== undefined);
+    for (const b of httpBenchmarks) {
+      const ms = (ns) => (ns / 1e6).toFixed(2);
+      const throughputChange = ((b.withALS.requestsPerSecond - b.withoutALS.requestsPerSecond) / b.withoutALS.requestsPerSecond) * 100;
+      console.log(`\n${b.name}:`);
+      console.log(`  Requests/sec: ${b.withoutALS.requestsPerSecond.toFixed(0)} without ALS, ${b.withALS.requestsPerSecond.toFixed(0)} with ALS (${throughputChange.toFixed(2)}%)`);
+      if (b.withoutALS.latency && b.withALS.latency) {
+        console.log(`  Latency p50/p99: ${ms(b.withoutALS.latency.p50)}/${ms(b.withoutALS.latency.p99)}ms without ALS, ${ms(b.withALS.latency.p50)}/${ms(b.withALS.latency.p99)}ms with ALS`);
+      }
+    }
+    
+    const primitiveBenchmarks = traditionalBenchmarks.filter(b => typeof b.config?.primitive === 'string');
+    if (primitiveBenchmarks.length > 0) {
+      this.printPrimitiveMatrix(primitiveBenchmarks);
+    }
+    
+    if (this.results.skipped.length > 0) {
+      console.log(`\nSkipped Scenarios (${this.results.skipped.length}):`);
+      for (const skipped of this.results.skipped) {
+        console.log(`⏭️  ${skipped.name}: ${skipped.reason}`);
+      }
+    }
+    
+    const isolationTest = this.results.benchmarks.find(b => b.type === 'asyncHooksIsolation');
+    if (isolationTest) {
+      const { gaps, noiseFloor } = isolationTest.result;
+      const formatGap = (gap) => `${gap.percentOfNone.toFixed(2)}%${gap.significant ? '' : ' (within noise)'}`;
+      console.log('\nAsync Hooks Cost Breakdown (share of no-hooks time):');
+      console.log(`  Enabling any async hook:      ${formatGap(gaps.hookDispatch)}`);
+      console.log(`  executionAsyncResource copy:  ${formatGap(gaps.resourcePropagation)}`);
+      console.log(`  AsyncLocalStorage on top:     ${formatGap(gaps.asyncLocalStorage)}`);
+      console.log(`  Total ALS vs no hooks:        ${formatGap(gaps.total)}`);
+      console.log(`  Noise floor (no-hooks A/A):   ±${noiseFloor.floorPercent.toFixed(2)}% (${noiseFloor.samples.length} repeats)`);
     }
     
     // AsyncContextFrame performance summary
@@ -806,16 +2019,121 @@ class AsyncLocalStorageBenchmark {
       }
       
       console.log('\nAsyncContextFrame Analysis:');
-      if (this.results.nodeVersion.startsWith('v24.') || parseInt(this.results.nodeVersion.substring(1)) >= 24) {
-        console.log('🚀 Node.js v24+ detected - these results show AsyncContextFrame performance improvements');
+      if (this.results.asyncContextFrame.active) {
+        console.log('🚀 AsyncContextFrame is active - these results show AsyncContextFrame performance improvements');
         console.log('📊 Compare these metrics with older Node.js versions to see the dramatic improvements');
       } else {
-        console.log('📋 Running on pre-v24 Node.js - these results use traditional async hooks implementation');
-        console.log('🔄 Run the same tests on Node.js v24+ to see AsyncContextFrame performance improvements');
+        console.log('📋 AsyncContextFrame is not active - these results use traditional async hooks implementation');
+        console.log('🔄 Run with --compare-acf on Node.js v22+ to measure AsyncContextFrame on the same version');
+      }
+    }
+  }
+
+  /**
+   * Prints the average overhead of each scenario family outside the headline
+   * figures. A family is a scenario's first tag other than 'core' or 'sweep'.
+   */
+  printFamilyOverheads(benchmarks) {
+    const families = new Map();
+    for (const b of benchmarks) {
+      const tags = this.registry.get(b.config?.test)?.tags || [];
+      const family = tags.find(tag => tag !== 'core' && !OPT_IN_TAGS.includes(tag)) ?? 'other';
+      families.set(family, [...(families.get(family) || []), b]);
+    }
+
+    console.log('\nAverage Overhead by Scenario Family:');
+    for (const [family, members] of families) {
+      const avg = members.reduce((sum, b) => sum + (b.overhead?.timePercent || 0), 0) / members.length;
+      console.log(`  ${family}: ${avg.toFixed(2)}% (${members.length} scenario${members.length === 1 ? '' : 's'})`);
+    }
+  }
+
+  /**
+   * Prints how ALS cost grows with the number of live AsyncLocalStorage
+   * instances, relative to the smallest instance count that was run.
+   */
+  printInstanceScaling(benchmarks) {
+    const sorted = benchmarks.slice().sort((a, b) => a.config.instances - b.config.instances);
+    const reference = sorted[0];
+
+    const verdict = (b) => {
+      if (!b.noiseFloor) return 'not measured';
+      return `${b.overhead.significant ? 'significant' : 'within noise'} (±${b.noiseFloor.floorPercent.toFixed(2)}%)`;
+    };
+
+    console.log('\nALS Instance Scaling:');
+    console.log(`  Instances | Overhead  | Baseline ns/op | ALS ns/op  | ALS vs ${reference.config.instances.toString().padEnd(2)} | Noise`);
+    for (const b of sorted) {
+      console.log(
+        `  ${String(b.config.instances).padStart(9)} | ` +
+        `${(b.overhead.timePercent.toFixed(2) + '%').padStart(9)} | ` +
+        `${b.withoutALS.perOpNs.toFixed(0).padStart(14)} | ` +
+        `${b.withALS.perOpNs.toFixed(0).padStart(10)} | ` +
+        `${((b.withALS.perOpNs / reference.withALS.perOpNs).toFixed(2) + 'x').padStart(9)} | ` +
+        verdict(b)
+      );
+    }
+  }
+
+  /**
+   * Prints each sweep curve (per-op overhead at every point) with its fitted
+   * cost model, and per sweep whether the swept parameter matters at all.
+   */
+  printSweeps(sweeps) {
+    const ns = (value) => `${value.toFixed(0)}ns`;
+    const byName = new Map();
+    for (const curve of sweeps) {
+      byName.set(curve.name, [...(byName.get(curve.name) || []), curve]);
+    }
+
+    for (const [name, curves] of byName) {
+      console.log(`\nSweep ${name} (median ALS overhead per op vs ${curves[0].x}):`);
+
+      for (const curve of curves) {
+        const label = curve.group ? `${curve.group}=${curve.groupValue}` : name;
+        const points = curve.points.map(point => `${point.x}: ${ns(point.overheadPerOpNs)}`).join(', ');
+        console.log(`  ${label} (${curve.x} in ${curve.unit}): ${points}`);
+
+        const { fit } = curve;
+        if (!fit) {
+          console.log('    Not enough points to fit a cost model');
+          continue;
+        }
+        const term = fit.model === 'log' ? `ln(${curve.x})` : curve.x;
+        console.log(`    ${fit.model} fit: ${ns(fit.intercept)} + ${fit.slope.toFixed(3)}ns × ${term}, R² ${fit.r2.toFixed(2)}, ` +
+          `${fit.predictedChange >= 0 ? '+' : ''}${ns(fit.predictedChange)} across the sweep ` +
+          `${fit.significant ? '⚠️  significant' : '(not significant)'}`);
+      }
+
+      const fitted = curves.filter(curve => curve.fit);
+      const significant = fitted.filter(curve => curve.fit.significant);
+      if (fitted.length > 0 && significant.length === 0) {
+        console.log(`  ✅ ${curves[0].x} does not measurably change ALS overhead`);
+      } else if (significant.length > 0) {
+        const which = significant.map(curve => curve.groupValue ?? name).join(', ');
+        console.log(`  ⚠️  ${curves[0].x} changes ALS overhead${curves[0].group ? ` for ${which}` : ''}`);
       }
     }
   }
 
+  /**
+   * Prints the per-primitive overhead table for the async primitive scenarios.
+   */
+  printPrimitiveMatrix(benchmarks) {
+    console.log('\nAsync Primitive Propagation:');
+    console.log('  Primitive        | Overhead  | Baseline ns/op | ALS ns/op  | Context lost');
+    for (const b of benchmarks) {
+      const lost = b.withALS.contextLost ?? 0;
+      console.log(
+        `  ${b.config.primitive.padEnd(16)} | ` +
+        `${(b.overhead.timePercent.toFixed(2) + '%').padStart(9)} | ` +
+        `${b.withoutALS.perOpNs.toFixed(0).padStart(14)} | ` +
+        `${b.withALS.perOpNs.toFixed(0).padStart(10)} | ` +
+        `${lost > 0 ? `${lost} ❌` : '0 ✅'}`
+      );
+    }
+  }
+
   async saveResults() {
     const resultsDir = path.join(process.cwd(), 'public', 'results');
     try {
@@ -826,6 +2144,20 @@ class AsyncLocalStorageBenchmark {
     
     const filename = `benchmark_${this.results.nodeVersion.replace(/\./g, '_')}_${Date.now()}.json`;
     const filepath = path.join(resultsDir, filename);
+
+    // Raw CPU profiles go next to the result file, referenced by name
+    for (const benchmark of this.results.benchmarks) {
+      for (const [phase, summary] of Object.entries(benchmark.profile?.phases || {})) {
+        if (!summary.cpuprofile) {
+          continue;
+        }
+        const profileFile = filename.replace(/\.json$/, `_${benchmark.config.test}_${phase}.cpuprofile`);
+        await fs.writeFile(path.join(resultsDir, profileFile), JSON.stringify(summary.cpuprofile));
+        delete summary.cpuprofile;
+        summary.file = profileFile;
+        console.log(`CPU profile saved to: ${path.join(resultsDir, profileFile)}`);
+      }
+    }
     
     await fs.writeFile(filepath, JSON.stringify(this.results, null, 2));
     console.log(`\nResults saved to: ${filepath}`);
@@ -834,8 +2166,83 @@ class AsyncLocalStorageBenchmark {
 
 // Run benchmarks if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const benchmark = new AsyncLocalStorageBenchmark();
-  benchmark.runBenchmarks().catch(console.error);
+  const cliOptions = parseCliArgs(process.argv.slice(2), {
+    '--scenarios-dir': { key: 'core.scenarioDirs', list: true },
+    '--scenario': { key: 'core.scenarios', list: true },
+    '--tag': { key: 'core.tags', list: true },
+    '--compare-acf': { key: 'core.compareAsyncContextFrame', value: true },
+    '--isolate': { key: 'core.isolation', value: 'scenario' },
+    '--profile': { key: 'core.profile', list: true },
+    '--deopt-trace': { key: 'core.deoptTrace', list: true },
+    '--seed': { key: 'core.seed' },
+    '--noise-floor': { key: 'core.noiseFloor.enabled', value: true },
+    '--self-check': { key: 'core.selfCheck.enabled', value: true }
+  });
+
+  loadBenchmarkConfig(cliOptions)
+    .then(async config => {
+      // Resolve the seed once so child runs (ACF comparison, deopt traces) share it
+      config.core.seed = config.core.seed ?? createSeed();
+
+      if (config.core.compareAsyncContextFrame) {
+        // Re-run this same command in two children, one per ALS implementation
+        const childArgv = [
+          ...process.argv.slice(2).filter(arg => arg !== '--compare-acf'),
+          '--set', 'core.compareAsyncContextFrame=false',
+          '--set', `core.seed=${config.core.seed}`
+        ];
+        const report = await compareAsyncContextFrame(childArgv);
+        report.seed = config.core.seed;
+        report.environment = await collectEnvironment();
+        report.config = { source: config.source, preset: config.preset, overrides: config.overrides };
+        printComparison(report);
+        await saveComparison(report);
+        return;
+      }
+
+      if (config.core.deoptTrace.length > 0) {
+        // Diagnostic mode: trace the chosen scenarios instead of running the suite
+        const report = await traceDeopts(config.core, config.core.deoptTrace);
+        report.seed = config.core.seed;
+        report.environment = await collectEnvironment();
+        report.config = { source: config.source, preset: config.preset, overrides: config.overrides };
+        printDeoptReport(report);
+        await saveDeoptReport(report);
+        return;
+      }
+
+      if (config.core.selfCheck.enabled) {
+        // Diagnostic mode: check that scenario timings scale with their iterations
+        const benchmark = new AsyncLocalStorageBenchmark(config.core);
+        const report = await benchmark.runSelfCheck();
+        report.environment = await collectEnvironment();
+        report.config = { source: config.source, preset: config.preset, overrides: config.overrides };
+        benchmark.printSelfCheck(report);
+        await benchmark.saveSelfCheck(report);
+        return;
+      }
+
+      const benchmark = new AsyncLocalStorageBenchmark(config.core);
+      benchmark.results.config = {
+        source: config.source,
+        preset: config.preset,
+        overrides: config.overrides
+      };
+      // A comparison child leaves the result file to the parent, which writes
+      // both runs into one comparison file
+      await benchmark.runBenchmarks({ save: !process.send });
+
+      // Hand the results to the parent when running as a comparison child
+      if (process.send) {
+        await new Promise(resolve => process.send({ type: 'results', results: benchmark.results }, resolve));
+        process.disconnect();
+      }
+    })
+    .catch(error => {
+      console.error(error);
+      // A rejected config or option must not look like a passing run to CI
+      process.exitCode = 1;
+    });
 }
 
 export { AsyncLocalStorageBenchmark };
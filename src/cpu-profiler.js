@@ -0,0 +1,151 @@
+import inspector from 'inspector';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * CPU Profiler
+ *
+ * Captures V8 CPU profiles of individual benchmark phases through an
+ * in-process inspector Session, so a scenario with unexpected overhead can be
+ * looked at without re-running it by hand under --cpu-prof. The raw profile
+ * is the same .cpuprofile format Chrome DevTools and --cpu-prof use.
+ *
+ * summarize() turns a profile into self time per function and per category:
+ *
+ * - asyncContext: async_hooks, AsyncLocalStorage and AsyncContextFrame internals
+ * - nodeInternals: the rest of Node.js' JavaScript (node:* and internal/*)
+ * - benchmark: this repository's code (scenarios, benchmark loops)
+ * - v8: (garbage collector), (program) and other VM entries without a script
+ * - other: anything else (dependencies, eval'd code)
+ *
+ * Only one session can profile at a time; the Profiler domain is enabled on
+ * the first start() and the session is reused until dispose().
+ */
+
+const SOURCE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const ASYNC_CONTEXT_PATTERN = /(^|\/)(async_hooks|async_local_storage|async_context_frame)(\/|\.js$|$)/;
+
+/**
+ * Category of a profile node's call frame, see the module comment.
+ */
+function categorize({ url, functionName }) {
+  if (!url) {
+    return functionName === '(idle)' ? 'idle' : 'v8';
+  }
+
+  const location = url.startsWith('file://') ? fileURLToPath(url) : url;
+
+  if (location.startsWith('node:') || location.startsWith('internal/')) {
+    return ASYNC_CONTEXT_PATTERN.test(location.replace(/^node:/, '')) ? 'asyncContext' : 'nodeInternals';
+  }
+  if (location.startsWith(SOURCE_DIR)) {
+    return 'benchmark';
+  }
+  return 'other';
+}
+
+class CPUProfiler {
+  constructor({ samplingIntervalUs = 100 } = {}) {
+    this.samplingIntervalUs = samplingIntervalUs;
+    this.session = null;
+  }
+
+  post(method, params = {}) {
+    return new Promise((resolve, reject) => {
+      this.session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  }
+
+  async start() {
+    if (!this.session) {
+      this.session = new inspector.Session();
+      this.session.connect();
+      await this.post('Profiler.enable');
+    }
+    await this.post('Profiler.setSamplingInterval', { interval: this.samplingIntervalUs });
+    await this.post('Profiler.start');
+  }
+
+  async stop() {
+    const { profile } = await this.post('Profiler.stop');
+    return profile;
+  }
+
+  /**
+   * Runs `fn` under the profiler and returns its value with the raw profile.
+   */
+  async profile(fn) {
+    await this.start();
+    let value;
+    try {
+      value = await fn();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    return { value, profile: await this.stop() };
+  }
+
+  dispose() {
+    if (this.session) {
+      this.session.disconnect();
+      this.session = null;
+    }
+  }
+
+  /**
+   * Self time per function and per category, in milliseconds.
+   * Sample i is charged with the time until the next sample, the way
+   * DevTools attributes it.
+   *
+   * @param {Object} profile - Raw V8 CPU profile
+   * @param {number} [top=10] - Number of functions to keep
+   */
+  static summarize(profile, top = 10) {
+    const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+    const selfUs = new Map();
+
+    const { samples = [], timeDeltas = [] } = profile;
+    for (let index = 0; index < samples.length; index++) {
+      const delta = timeDeltas[index + 1] ?? 0;
+      selfUs.set(samples[index], (selfUs.get(samples[index]) || 0) + delta);
+    }
+
+    const functions = new Map();
+    const categories = { asyncContext: 0, nodeInternals: 0, benchmark: 0, v8: 0, other: 0, idle: 0 };
+
+    for (const [id, us] of selfUs) {
+      const { callFrame } = nodes.get(id);
+      const category = categorize(callFrame);
+      const key = `${callFrame.functionName}|${callFrame.url}|${callFrame.lineNumber}`;
+      const entry = functions.get(key) || {
+        functionName: callFrame.functionName || '(anonymous)',
+        url: callFrame.url,
+        line: callFrame.lineNumber + 1,
+        category,
+        selfMs: 0
+      };
+      entry.selfMs += us / 1000;
+      functions.set(key, entry);
+      categories[category] += us / 1000;
+    }
+
+    const totalMs = (profile.endTime - profile.startTime) / 1000;
+    const percentOf = (ms) => (totalMs > 0 ? (ms / totalMs) * 100 : 0);
+
+    return {
+      durationMs: totalMs,
+      sampleCount: samples.length,
+      categories: Object.fromEntries(
+        Object.entries(categories).map(([category, ms]) => [category, { selfMs: ms, percent: percentOf(ms) }])
+      ),
+      topFunctions: [...functions.values()]
+        .sort((a, b) => b.selfMs - a.selfMs)
+        .slice(0, top)
+        .map(entry => ({ ...entry, selfPercent: percentOf(entry.selfMs) }))
+    };
+  }
+}
+
+export { CPUProfiler, categorize };
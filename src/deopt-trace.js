@@ -0,0 +1,230 @@
+import { fork } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { categorize } from './cpu-profiler.js';
+import { detectAsyncContextFrame } from './async-context-frame.js';
+
+/**
+ * Deoptimization tracing
+ *
+ * Some of the ALS overhead on older Node.js versions is suspected to come from
+ * run() callbacks and the benchmark loops around them being deoptimized.
+ * traceScenario() runs one scenario in a child process (scenario-child.js)
+ * with V8's --trace-opt/--trace-deopt output enabled, parses the trace from
+ * the child's stdout and reports, per function, how often it was optimized and
+ * deoptimized and why.
+ *
+ * Only the repository's own functions (benchmark.js, scenarios, ...) are listed
+ * individually; everything else is counted per category (async_hooks/ALS
+ * internals, other Node.js internals, ...), using the same categories as the
+ * CPU profiler.
+ *
+ * Trace lines look like this (--trace-file-names adds the <script>):
+ *   [marking 0x... <JSFunction run <node:async_hooks> (sfi = 0x...)> for optimization to TURBOFAN, ..., reason: hot and stable]
+ *   [completed optimizing 0x... <JSFunction run <node:async_hooks> (sfi = 0x...)> (target TURBOFAN)]
+ *   [bailout (kind: deopt-eager, reason: wrong map): begin. deoptimizing 0x... <JSFunction fn <file:///...> (sfi = 0x...)>, ...]
+ */
+
+const SCENARIO_CHILD_SCRIPT = fileURLToPath(new URL('./scenario-child.js', import.meta.url));
+const SOURCE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const TRACE_FLAGS = ['--trace-opt', '--trace-deopt', '--trace-file-names'];
+
+const FUNCTION_PATTERN = /<JSFunction\s*([^<(]*?)\s*(?:<([^>]+)>)?\s*\(sfi/;
+const BAILOUT_PATTERN = /^\[bailout \(kind: ([^,]+), reason: ([^)]*)\)/;
+
+/**
+ * Turns one trace line into an event, or null for lines that are not part of
+ * the opt/deopt trace (benchmark output, verbose deopt details).
+ */
+function parseTraceLine(line) {
+  if (!line.startsWith('[')) {
+    return null;
+  }
+
+  const fn = line.match(FUNCTION_PATTERN);
+  if (!fn) {
+    return null;
+  }
+  const target = { functionName: fn[1] || '(anonymous)', url: fn[2] || '' };
+
+  const bailout = line.match(BAILOUT_PATTERN);
+  if (bailout) {
+    return { type: 'deopt', ...target, kind: bailout[1], reason: bailout[2] };
+  }
+  if (line.startsWith('[completed optimizing')) {
+    return { type: 'optimized', ...target };
+  }
+  return null;
+}
+
+/**
+ * Aggregates parsed trace events into per-function and per-category counts.
+ */
+function summarizeTrace(events) {
+  const functions = new Map();
+  const byCategory = {};
+  const reasons = {};
+  let deopts = 0;
+  let optimizations = 0;
+
+  for (const event of events) {
+    const category = categorize(event);
+    byCategory[category] = byCategory[category] || { optimizations: 0, deopts: 0 };
+
+    if (event.type === 'deopt') {
+      deopts++;
+      byCategory[category].deopts++;
+      reasons[event.reason] = (reasons[event.reason] || 0) + 1;
+    } else {
+      optimizations++;
+      byCategory[category].optimizations++;
+    }
+
+    if (category !== 'benchmark') {
+      continue;
+    }
+
+    const key = `${event.functionName}|${event.url}`;
+    const entry = functions.get(key) || {
+      functionName: event.functionName,
+      file: path.relative(SOURCE_DIR, fileURLToPath(event.url)),
+      optimizations: 0,
+      deopts: 0,
+      reasons: {}
+    };
+    if (event.type === 'deopt') {
+      entry.deopts++;
+      const reason = `${event.reason} (${event.kind})`;
+      entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+    } else {
+      entry.optimizations++;
+    }
+    functions.set(key, entry);
+  }
+
+  return {
+    optimizations,
+    deopts,
+    reasons,
+    byCategory,
+    functions: [...functions.values()].sort((a, b) => b.deopts - a.deopts || b.optimizations - a.optimizations)
+  };
+}
+
+/**
+ * Runs one scenario in a child process with the trace flags and resolves to
+ * its trace summary plus the scenario's regular result.
+ *
+ * @param {Object} options - Core benchmark options (as for AsyncLocalStorageBenchmark)
+ * @param {string} scenarioId - Scenario to trace
+ */
+function traceScenario(options, scenarioId) {
+  return new Promise((resolve, reject) => {
+    const child = fork(SCENARIO_CHILD_SCRIPT, [], {
+      execArgv: [...process.execArgv, ...TRACE_FLAGS],
+      stdio: ['ignore', 'pipe', 'inherit', 'ipc']
+    });
+
+    const events = [];
+    readline.createInterface({ input: child.stdout }).on('line', line => {
+      const event = parseTraceLine(line);
+      if (event) {
+        events.push(event);
+      }
+    });
+
+    let reply = null;
+    child.on('message', message => {
+      reply = message;
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (reply?.type === 'result') {
+        resolve({
+          scenario: scenarioId,
+          name: reply.benchmark.name,
+          ...summarizeTrace(events),
+          ...(reply.benchmark.overhead && { overheadPercent: reply.benchmark.overhead.timePercent })
+        });
+      } else if (reply?.type === 'error') {
+        reject(new Error(`Scenario ${scenarioId} failed under deopt tracing:\n${reply.message}`));
+      } else {
+        reject(new Error(`Deopt trace of ${scenarioId} exited with code ${code} without a result`));
+      }
+    });
+
+    child.send({ type: 'run', options: { ...options, isolation: 'none', profile: [] }, scenarioId });
+  });
+}
+
+/**
+ * Traces each of the given scenarios in turn.
+ *
+ * @returns {Promise<Object>} - { nodeVersion, asyncContextFrame, flags, scenarios }
+ */
+async function traceDeopts(options, scenarioIds) {
+  const scenarios = [];
+
+  for (const scenarioId of scenarioIds) {
+    console.log(`🔬 Tracing optimizations and deopts for ${scenarioId}...`);
+    scenarios.push(await traceScenario(options, scenarioId));
+  }
+
+  return {
+    nodeVersion: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    timestamp: new Date().toISOString(),
+    asyncContextFrame: detectAsyncContextFrame(),
+    flags: TRACE_FLAGS,
+    scenarios
+  };
+}
+
+function printDeoptReport(report) {
+  console.log('\n' + '=' .repeat(60));
+  console.log(`DEOPTIMIZATION TRACE (${report.nodeVersion}, ${report.asyncContextFrame.implementation})`);
+  console.log('=' .repeat(60));
+
+  for (const scenario of report.scenarios) {
+    console.log(`\n${scenario.name}: ${scenario.optimizations} optimizations, ${scenario.deopts} deopts`);
+
+    for (const [category, counts] of Object.entries(scenario.byCategory)) {
+      console.log(`  ${category}: ${counts.optimizations} optimized, ${counts.deopts} deopts`);
+    }
+
+    const deoptimized = scenario.functions.filter(entry => entry.deopts > 0);
+    if (deoptimized.length === 0) {
+      console.log('  No deopts in benchmark code ✅');
+      continue;
+    }
+    for (const entry of deoptimized.slice(0, 10)) {
+      const reasons = Object.entries(entry.reasons).map(([reason, count]) => `${reason} x${count}`).join('; ');
+      console.log(`  ⚠️  ${entry.functionName} (${entry.file}): ${entry.deopts} deopts, ${entry.optimizations} optimizations - ${reasons}`);
+    }
+  }
+}
+
+async function saveDeoptReport(report) {
+  const resultsDir = path.join(process.cwd(), 'public', 'results');
+  await fs.mkdir(resultsDir, { recursive: true });
+
+  const filename = `deopt_${report.nodeVersion.replace(/\./g, '_')}_${Date.now()}.json`;
+  const filepath = path.join(resultsDir, filename);
+
+  await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+  console.log(`\nDeopt trace saved to: ${filepath}`);
+  return filepath;
+}
+
+export {
+  parseTraceLine,
+  summarizeTrace,
+  traceScenario,
+  traceDeopts,
+  printDeoptReport,
+  saveDeoptReport
+};
@@ -0,0 +1,225 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Environment fingerprint
+ *
+ * Node.js version, platform and arch are not enough to compare two result
+ * files: the same version on a throttled laptop, a shared CI runner and a
+ * CPU-limited container gives very different numbers. collectEnvironment()
+ * records, at the start of a run, everything that commonly explains such
+ * differences:
+ *
+ * - runtime: process.versions (V8, libuv, OpenSSL, ...), execArgv, NODE_OPTIONS
+ * - cpu: model, logical count, frequency and cpufreq governor (/sys, /proc)
+ * - memory: total and free, load average at start
+ * - cgroup: CPU quota and memory limit (cgroup v2, falling back to v1)
+ * - container: whether we run in Docker/Podman/Kubernetes and how we know
+ * - git: commit (and dirty state) of the benchmark code itself
+ *
+ * Every probe is best effort; values that cannot be read on a platform are null.
+ * describeEnvironment() and environmentKey() give consumers a one-line summary
+ * and a grouping key.
+ */
+
+const REPO_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const readText = async (file) => {
+  try {
+    return (await fs.readFile(file, 'utf8')).trim();
+  } catch (error) {
+    return null;
+  }
+};
+
+const exists = async (file) => {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const run = (command, args) => new Promise(resolve => {
+  execFile(command, args, { cwd: REPO_DIR, timeout: 5000 }, (error, stdout) => {
+    resolve(error ? null : stdout.trim());
+  });
+});
+
+const kHzToMHz = (value) => (value && Number.isFinite(Number(value)) ? Number(value) / 1000 : null);
+
+async function collectCpu() {
+  const cpus = os.cpus();
+  const cpuinfo = await readText('/proc/cpuinfo');
+  const cpuinfoMHz = cpuinfo?.match(/^cpu MHz\s*:\s*([\d.]+)/m);
+  const cpufreq = '/sys/devices/system/cpu/cpu0/cpufreq';
+
+  return {
+    model: cpus[0]?.model?.trim() || null,
+    count: cpus.length,
+    availableParallelism: typeof os.availableParallelism === 'function' ? os.availableParallelism() : null,
+    governor: await readText(path.join(cpufreq, 'scaling_governor')),
+    frequencyMHz: {
+      current: kHzToMHz(await readText(path.join(cpufreq, 'scaling_cur_freq')))
+        ?? (cpuinfoMHz ? Number(cpuinfoMHz[1]) : null)
+        ?? (cpus[0]?.speed || null),
+      max: kHzToMHz(await readText(path.join(cpufreq, 'cpuinfo_max_freq')))
+    }
+  };
+}
+
+/**
+ * CPU quota (in CPUs) and memory limit (in bytes) of this process' cgroup,
+ * null when unlimited or unknown.
+ */
+async function collectCgroup() {
+  const cpuMax = await readText('/sys/fs/cgroup/cpu.max');
+  if (cpuMax !== null) {
+    const [quota, period] = cpuMax.split(/\s+/);
+    const memoryMax = await readText('/sys/fs/cgroup/memory.max');
+    return {
+      version: 2,
+      cpuLimit: quota === 'max' ? null : Number(quota) / Number(period),
+      memoryLimitBytes: !memoryMax || memoryMax === 'max' ? null : Number(memoryMax)
+    };
+  }
+
+  const quota = await readText('/sys/fs/cgroup/cpu/cpu.cfs_quota_us');
+  const period = await readText('/sys/fs/cgroup/cpu/cpu.cfs_period_us');
+  const memoryLimit = await readText('/sys/fs/cgroup/memory/memory.limit_in_bytes');
+  if (quota === null && memoryLimit === null) {
+    return null;
+  }
+
+  // v1 reports "no memory limit" as a huge page-aligned number
+  const memoryLimitBytes = memoryLimit === null ? null : Number(memoryLimit);
+  return {
+    version: 1,
+    cpuLimit: quota === null || Number(quota) < 0 ? null : Number(quota) / Number(period),
+    memoryLimitBytes: memoryLimitBytes !== null && memoryLimitBytes < os.totalmem() ? memoryLimitBytes : null
+  };
+}
+
+async function collectContainer() {
+  const evidence = [];
+
+  if (await exists('/.dockerenv')) {
+    evidence.push('/.dockerenv');
+  }
+  if (await exists('/run/.containerenv')) {
+    evidence.push('/run/.containerenv');
+  }
+  if (process.env.KUBERNETES_SERVICE_HOST) {
+    evidence.push('KUBERNETES_SERVICE_HOST');
+  }
+  const cgroup = await readText('/proc/1/cgroup');
+  const runtimeInCgroup = cgroup?.match(/docker|kubepods|containerd|libpod|lxc/);
+  if (runtimeInCgroup) {
+    evidence.push(`/proc/1/cgroup (${runtimeInCgroup[0]})`);
+  }
+
+  let runtime = null;
+  if (evidence.some(item => item.includes('KUBERNETES') || item.includes('kubepods'))) {
+    runtime = 'kubernetes';
+  } else if (evidence.some(item => item.includes('containerenv') || item.includes('libpod'))) {
+    runtime = 'podman';
+  } else if (evidence.some(item => item.includes('docker') || item.includes('containerd'))) {
+    runtime = 'docker';
+  } else if (evidence.some(item => item.includes('lxc'))) {
+    runtime = 'lxc';
+  }
+
+  return { detected: evidence.length > 0, runtime, evidence };
+}
+
+async function collectGit() {
+  const commit = await run('git', ['rev-parse', 'HEAD']) || process.env.GITHUB_SHA || null;
+  const status = await run('git', ['status', '--porcelain', '--untracked-files=no']);
+
+  return {
+    commit,
+    branch: await run('git', ['rev-parse', '--abbrev-ref', 'HEAD']) || process.env.GITHUB_REF_NAME || null,
+    dirty: status === null ? null : status.length > 0
+  };
+}
+
+/**
+ * Captures the environment fingerprint of the current process.
+ */
+async function collectEnvironment() {
+  const { node, v8, uv, openssl, zlib, icu, napi, modules } = process.versions;
+
+  return {
+    versions: { node, v8, uv, openssl, zlib, icu, napi, modules },
+    execArgv: process.execArgv,
+    nodeOptions: process.env.NODE_OPTIONS || null,
+    os: { type: os.type(), release: os.release(), platform: process.platform, arch: process.arch },
+    cpu: await collectCpu(),
+    memory: { totalBytes: os.totalmem(), freeBytes: os.freemem() },
+    loadAverage: os.loadavg(),
+    cgroup: await collectCgroup(),
+    container: await collectContainer(),
+    git: await collectGit(),
+    ci: process.env.GITHUB_ACTIONS ? 'github-actions' : (process.env.CI ? 'ci' : null)
+  };
+}
+
+/**
+ * One-line summary for console output and reports.
+ */
+function describeEnvironment(environment) {
+  if (!environment) {
+    return 'unknown environment';
+  }
+
+  const { cpu, memory, cgroup, container, git } = environment;
+  const parts = [`${cpu.model || 'unknown CPU'} x${cpu.count}`];
+
+  const frequency = cpu.frequencyMHz?.current ? `${(cpu.frequencyMHz.current / 1000).toFixed(2)}GHz` : null;
+  const cpuDetails = [frequency, cpu.governor].filter(Boolean);
+  if (cpuDetails.length > 0) {
+    parts[0] += ` (${cpuDetails.join(', ')})`;
+  }
+
+  parts.push(`${(memory.totalBytes / 1024 ** 3).toFixed(1)}GB RAM`);
+  if (cgroup?.cpuLimit) {
+    parts.push(`cgroup ${cgroup.cpuLimit} CPUs`);
+  }
+  if (cgroup?.memoryLimitBytes) {
+    parts.push(`cgroup ${(cgroup.memoryLimitBytes / 1024 ** 3).toFixed(1)}GB`);
+  }
+  if (container?.detected) {
+    parts.push(`container: ${container.runtime || 'unknown'}`);
+  }
+  parts.push(`V8 ${environment.versions.v8}`);
+  if (git?.commit) {
+    parts.push(`git ${git.commit.slice(0, 7)}${git.dirty ? '+dirty' : ''}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Key identifying the machine a result was measured on (hardware and limits,
+ * not the Node.js version), for grouping results from different runners.
+ */
+function environmentKey(environment) {
+  if (!environment) {
+    return 'unknown';
+  }
+
+  const { cpu, memory, cgroup, container } = environment;
+  return [
+    cpu.model,
+    cpu.count,
+    cgroup?.cpuLimit ?? 'no-cpu-limit',
+    Math.round(memory.totalBytes / 1024 ** 3),
+    container?.runtime ?? 'host'
+  ].join('|');
+}
+
+export { collectEnvironment, describeEnvironment, environmentKey };
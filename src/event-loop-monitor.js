@@ -0,0 +1,121 @@
+import { monitorEventLoopDelay, performance } from 'perf_hooks';
+
+/**
+ * Event Loop Monitor
+ *
+ * Records event loop delay (perf_hooks.monitorEventLoopDelay) and event loop
+ * utilization (performance.eventLoopUtilization) for a measurement phase.
+ * Duration says how long a phase took; delay says how long callbacks had to
+ * wait for the loop while it ran, which is the lag a server would alert on,
+ * and utilization says how much of the phase the loop spent busy rather than
+ * waiting for I/O or timers.
+ *
+ * The delay histogram samples with a repeating timer and only records the gap
+ * between two consecutive firings, so a fresh histogram misses a loop that is
+ * blocked before its timer fired once. measure() therefore enables the
+ * histogram one `resolution` before the phase starts and keeps it enabled
+ * until the timer has fired once more after the phase ends. Utilization is
+ * taken right at the phase boundaries, so those waits do not count as idle
+ * time.
+ */
+
+const NS_PER_MS = 1e6;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class EventLoopMonitor {
+  constructor({ resolution = 10 } = {}) {
+    this.resolution = resolution;
+  }
+
+  /**
+   * Runs `fn` and returns its value together with the event loop delay and
+   * utilization measured while it was running.
+   */
+  async measure(fn) {
+    const histogram = monitorEventLoopDelay({ resolution: this.resolution });
+    histogram.enable();
+    await sleep(this.resolution + 1);
+
+    const startUtilization = performance.eventLoopUtilization();
+    const value = await fn();
+    const utilization = performance.eventLoopUtilization(startUtilization);
+
+    await sleep(this.resolution + 1);
+    histogram.disable();
+
+    const eventLoop = {
+      delay: EventLoopMonitor.summarizeDelay(histogram, this.resolution),
+      utilization: {
+        utilization: utilization.utilization,
+        idle: utilization.idle,
+        active: utilization.active
+      }
+    };
+
+    return { value, eventLoop };
+  }
+
+  /**
+   * Delay percentiles in milliseconds. The histogram holds the intervals
+   * between timer firings, so the resolution is subtracted to get the lag.
+   * Values are null when the timer never fired.
+   */
+  static summarizeDelay(histogram, resolution) {
+    const count = histogram.count;
+    const ms = (ns) => (count > 0 ? Math.max(0, ns / NS_PER_MS - resolution) : null);
+
+    return {
+      unit: 'ms',
+      count,
+      min: ms(histogram.min),
+      mean: ms(histogram.mean),
+      stddev: count > 0 ? histogram.stddev / NS_PER_MS : null,
+      p50: ms(histogram.percentile(50)),
+      p90: ms(histogram.percentile(90)),
+      p99: ms(histogram.percentile(99)),
+      max: ms(histogram.max)
+    };
+  }
+
+  /**
+   * Combines the measurements of several phases (e.g. interleaved rounds).
+   * Event loop delay histograms cannot be merged (RecordableHistogram.add()
+   * rejects them), so count, min, max, mean and stddev are pooled exactly and
+   * the percentiles are those of the worst phase. Utilization is recomputed
+   * from the summed idle and active times.
+   */
+  static combine(measurements) {
+    const phases = measurements.filter(measurement => measurement.delay.count > 0);
+    const count = phases.reduce((sum, phase) => sum + phase.delay.count, 0);
+    const worst = (key) => (phases.length > 0 ? Math.max(...phases.map(phase => phase.delay[key])) : null);
+    const mean = count > 0 ? phases.reduce((sum, phase) => sum + phase.delay.mean * phase.delay.count, 0) / count : null;
+    const variance = count > 0
+      ? phases.reduce((sum, phase) => sum + phase.delay.count * (phase.delay.stddev ** 2 + (phase.delay.mean - mean) ** 2), 0) / count
+      : null;
+
+    const idle = measurements.reduce((sum, measurement) => sum + measurement.utilization.idle, 0);
+    const active = measurements.reduce((sum, measurement) => sum + measurement.utilization.active, 0);
+
+    return {
+      delay: {
+        unit: 'ms',
+        count,
+        min: phases.length > 0 ? Math.min(...phases.map(phase => phase.delay.min)) : null,
+        mean,
+        stddev: variance === null ? null : Math.sqrt(variance),
+        p50: worst('p50'),
+        p90: worst('p90'),
+        p99: worst('p99'),
+        max: worst('max')
+      },
+      utilization: {
+        utilization: idle + active > 0 ? active / (idle + active) : 0,
+        idle,
+        active
+      }
+    };
+  }
+}
+
+export { EventLoopMonitor };
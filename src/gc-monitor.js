@@ -0,0 +1,126 @@
+import { PerformanceObserver, performance, constants } from 'perf_hooks';
+
+/**
+ * GC Monitor
+ *
+ * Collects garbage collection activity with a PerformanceObserver on 'gc'
+ * entries and attributes it to measurement phases (the baseline block, the
+ * ALS block, ...) by time window. Memory deltas only say how much was
+ * allocated; pause counts and times say how much of a phase's duration went
+ * to collecting it, which separates allocation/GC pressure from context
+ * objects from the cost of propagation itself.
+ *
+ * Entries reach the observer asynchronously (Node.js queues them from the GC
+ * callback and then notifies observers on a later immediate), so measure()
+ * yields for two event loop turns after the phase before summarizing its
+ * window.
+ */
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+class GCMonitor {
+  constructor() {
+    this.entries = [];
+    this.observer = null;
+  }
+
+  start() {
+    if (this.observer) {
+      return;
+    }
+
+    this.observer = new PerformanceObserver(list => this.record(list.getEntries()));
+    this.observer.observe({ entryTypes: ['gc'] });
+  }
+
+  record(entries) {
+    for (const entry of entries) {
+      // entry.detail.kind since v16, entry.kind before that
+      const kind = entry.detail?.kind ?? entry.kind;
+      this.entries.push({
+        startTime: entry.startTime,
+        duration: entry.duration,
+        kind: GC_KINDS[kind] || 'other'
+      });
+    }
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this.entries = [];
+  }
+
+  /**
+   * Runs `fn` and returns its value together with the GC activity that
+   * started while it was running.
+   */
+  async measure(fn) {
+    this.start();
+
+    const startTime = performance.now();
+    const value = await fn();
+    const endTime = performance.now();
+
+    for (let turn = 0; turn < 2; turn++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const gc = GCMonitor.summarize(this.entries.filter(entry => entry.startTime >= startTime && entry.startTime < endTime));
+    this.entries = this.entries.filter(entry => entry.startTime >= endTime);
+
+    return { value, gc };
+  }
+
+  static summarize(entries) {
+    const summary = GCMonitor.empty();
+
+    for (const entry of entries) {
+      summary.count++;
+      summary.totalPauseMs += entry.duration;
+      summary.longestPauseMs = Math.max(summary.longestPauseMs, entry.duration);
+      summary.byKind[entry.kind] = summary.byKind[entry.kind] || { count: 0, pauseMs: 0 };
+      summary.byKind[entry.kind].count++;
+      summary.byKind[entry.kind].pauseMs += entry.duration;
+    }
+
+    summary.major = summary.byKind.major?.count || 0;
+    summary.minor = summary.byKind.minor?.count || 0;
+    return summary;
+  }
+
+  /**
+   * Adds up the GC summaries of several phases (e.g. interleaved rounds).
+   */
+  static combine(summaries) {
+    const combined = GCMonitor.empty();
+
+    for (const summary of summaries) {
+      combined.count += summary.count;
+      combined.totalPauseMs += summary.totalPauseMs;
+      combined.longestPauseMs = Math.max(combined.longestPauseMs, summary.longestPauseMs);
+      combined.major += summary.major;
+      combined.minor += summary.minor;
+      for (const [kind, stats] of Object.entries(summary.byKind)) {
+        combined.byKind[kind] = combined.byKind[kind] || { count: 0, pauseMs: 0 };
+        combined.byKind[kind].count += stats.count;
+        combined.byKind[kind].pauseMs += stats.pauseMs;
+      }
+    }
+
+    return combined;
+  }
+
+  static empty() {
+    return { count: 0, totalPauseMs: 0, longestPauseMs: 0, major: 0, minor: 0, byKind: {} };
+  }
+}
+
+export { GCMonitor };
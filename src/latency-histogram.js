@@ -0,0 +1,83 @@
+import { createHistogram } from 'perf_hooks';
+
+/**
+ * Per-operation latency recording for the core benchmark functions.
+ *
+ * Each operation is timed with process.hrtime.bigint() and recorded in
+ * nanoseconds into a perf_hooks histogram, so results carry tail latency
+ * (p99/p999/max) next to the wall-clock totals instead of only a mean.
+ *
+ * The raw histogram stays attached to its result object (outside the JSON)
+ * so the results of several runs, e.g. interleaved rounds, can be merged
+ * exactly with mergeLatency().
+ */
+
+const histograms = new WeakMap();
+
+function createLatencyHistogram() {
+  return createHistogram();
+}
+
+/**
+ * Records the time elapsed since `start` (from process.hrtime.bigint()).
+ * Histograms only accept values >= 1, so sub-nanosecond readings count as 1.
+ */
+function recordSince(histogram, start) {
+  const elapsed = process.hrtime.bigint() - start;
+  histogram.record(elapsed > 0n ? elapsed : 1n);
+}
+
+function summarizeHistogram(histogram) {
+  if (histogram.count === 0) {
+    return null;
+  }
+
+  return {
+    unit: 'ns',
+    count: histogram.count,
+    min: histogram.min,
+    mean: histogram.mean,
+    stddev: histogram.stddev,
+    p50: histogram.percentile(50),
+    p90: histogram.percentile(90),
+    p99: histogram.percentile(99),
+    p999: histogram.percentile(99.9),
+    max: histogram.max
+  };
+}
+
+/**
+ * Adds `latency` (histogram summary) and `perOpNs` (wall-clock duration per
+ * operation) to a benchmark result.
+ */
+function withLatency(result, histogram, operations) {
+  histograms.set(result, histogram);
+  result.perOpNs = operations > 0 ? (result.duration * 1e6) / operations : 0;
+  result.latency = summarizeHistogram(histogram);
+  return result;
+}
+
+/**
+ * Merges the histograms behind several results into one latency summary.
+ * Returns null when any result has no histogram or the running Node.js
+ * version cannot merge histograms (RecordableHistogram.add needs v16.14+).
+ */
+function mergeLatency(results) {
+  const merged = createHistogram();
+
+  if (typeof merged.add !== 'function') {
+    return null;
+  }
+
+  for (const result of results) {
+    const histogram = histograms.get(result);
+    if (!histogram) {
+      return null;
+    }
+    merged.add(histogram);
+  }
+
+  return summarizeHistogram(merged);
+}
+
+export { createLatencyHistogram, recordSince, summarizeHistogram, withLatency, mergeLatency };
@@ -2,15 +2,22 @@ import { AsyncLocalStorage } from 'async_hooks';
 import { performance } from 'perf_hooks';
 import fs from 'fs/promises';
 import path from 'path';
+import { loadBenchmarkConfig, parseCliArgs } from './benchmark-config.js';
+import { createSeed, createRandom } from './random.js';
+import { consume } from './sink.js';
+import { collectEnvironment, describeEnvironment } from './environment.js';
 
 class MemoryProfiler {
-  constructor() {
+  constructor(options = {}) {
     this.als = new AsyncLocalStorage();
+    this.seed = options.seed ?? createSeed();
+    this.random = createRandom(this.seed);
     this.results = {
       nodeVersion: process.version,
       platform: process.platform,
       arch: process.arch,
       timestamp: new Date().toISOString(),
+      seed: this.seed,
       memoryTests: []
     };
   }
@@ -43,7 +50,7 @@ class MemoryProfiler {
     const chunkSize = 100; // bytes per property
     const numProperties = Math.floor(targetSize / chunkSize);
     
-    const data = { id: Math.random().toString(36) };
+    const data = { id: this.random().toString(36) };
     
     for (let i = 0; i < numProperties; i++) {
       // Create string of approximately chunkSize bytes
@@ -159,8 +166,8 @@ class MemoryProfiler {
           await new Promise(resolve => setTimeout(resolve, 1));
           const stored = this.als.getStore();
           if (stored) {
-            // Access the data to ensure it's used
-            const _ = stored.id.length;
+            // Access the data through the sink so the read is not optimized away
+            consume(stored.id.length);
           }
         });
       }
@@ -230,7 +237,7 @@ class MemoryProfiler {
       for (let i = 0; i < concurrency; i++) {
         const promise = this.als.run(this.createMemoryData(10), async () => {
           // Simulate some work
-          await new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+          await new Promise(resolve => setTimeout(resolve, this.random() * 10));
           
           const stored = this.als.getStore();
           if (stored) {
@@ -274,7 +281,10 @@ class MemoryProfiler {
   }
 
   async runMemoryTests() {
+    this.results.environment = await collectEnvironment();
+
     console.log(`Starting memory profiling on Node.js ${process.version}`);
+    console.log(`Environment: ${describeEnvironment(this.results.environment)}`);
     console.log(`Initial memory usage: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)}MB`);
     console.log('=' .repeat(60));
 
@@ -337,8 +347,17 @@ class MemoryProfiler {
 
 // Run memory tests if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const profiler = new MemoryProfiler();
-  profiler.runMemoryTests().catch(console.error);
+  const cliOptions = parseCliArgs(process.argv.slice(2), {
+    '--seed': { key: 'core.seed' }
+  });
+
+  loadBenchmarkConfig(cliOptions)
+    .then(config => new MemoryProfiler({ seed: config.core.seed }).runMemoryTests())
+    .catch(error => {
+      console.error(error);
+      // A rejected config or option must not look like a passing run to CI
+      process.exitCode = 1;
+    });
 }
 
 export { MemoryProfiler };
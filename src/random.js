@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+
+/**
+ * Seeded pseudo-random numbers
+ *
+ * Test data, simulated I/O delays, tenant selection, error injection and the
+ * interleaved block order are all random. Drawing them from a seeded
+ * generator instead of Math.random() means a surprising result can be
+ * replayed exactly by passing the recorded seed back with --seed.
+ *
+ * createRandom() returns a drop-in replacement for Math.random() (mulberry32,
+ * 32-bit state, fast and good enough for benchmark inputs; not for crypto).
+ * deriveSeed() splits one run seed into independent streams (per scenario, per
+ * worker) so a stream does not depend on what ran before it.
+ */
+
+/**
+ * A fresh 32-bit seed for runs that did not ask for one.
+ */
+function createSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+/**
+ * Mulberry32 generator: returns a function yielding floats in [0, 1), like
+ * Math.random(). The seed it was created with is kept as `random.seed`.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = seed >>> 0;
+
+  return random;
+}
+
+/**
+ * Seed for a named stream of a run (FNV-1a of the label mixed into the run seed).
+ */
+function deriveSeed(seed, label) {
+  let hash = 0x811C9DC5 ^ (seed >>> 0);
+  for (let index = 0; index < label.length; index++) {
+    hash ^= label.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export { createSeed, createRandom, deriveSeed };
@@ -0,0 +1,115 @@
+import { mean, tCritical } from './stats.js';
+
+/**
+ * Cost model fitting for parameter sweeps
+ *
+ * A sweep measures the same baseline-vs-ALS pair at several values of one
+ * parameter (store size, nesting depth, ...). fitCostModel() fits the per-op
+ * overhead against that parameter two ways:
+ *
+ * - linear: overhead = intercept + slope * x (cost per unit of x)
+ * - log:    overhead = intercept + slope * ln(x) (cost that flattens out)
+ *
+ * and keeps the one with the better R². The slope's t statistic says whether
+ * the parameter matters at all: a slope that is not significantly different
+ * from zero means the overhead is flat across the sweep.
+ */
+
+/**
+ * Ordinary least squares fit of ys against xs.
+ *
+ * @returns {Object} - { slope, intercept, r2, slopeStdError, tStatistic, n }
+ */
+function linearRegression(xs, ys) {
+  const n = xs.length;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let index = 0; index < n; index++) {
+    sxx += (xs[index] - meanX) ** 2;
+    sxy += (xs[index] - meanX) * (ys[index] - meanY);
+    syy += (ys[index] - meanY) ** 2;
+  }
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+
+  let residual = 0;
+  for (let index = 0; index < n; index++) {
+    residual += (ys[index] - (intercept + slope * xs[index])) ** 2;
+  }
+
+  const slopeStdError = n > 2 && sxx > 0 ? Math.sqrt(residual / (n - 2) / sxx) : null;
+  let tStatistic = null;
+  if (slopeStdError !== null) {
+    // A perfect fit has no residual error: any non-zero slope is certain
+    tStatistic = slopeStdError > 0 ? slope / slopeStdError : Math.sign(slope) * Number.MAX_VALUE;
+  }
+
+  return {
+    slope,
+    intercept,
+    r2: syy > 0 ? 1 - residual / syy : 0,
+    slopeStdError,
+    tStatistic,
+    n
+  };
+}
+
+const TRANSFORMS = {
+  linear: (x) => x,
+  log: (x) => Math.log(x)
+};
+
+/**
+ * Fits the overhead of a sweep against its parameter and decides whether the
+ * parameter matters.
+ *
+ * @param {Array<{x: number, y: number}>} points - Parameter value and per-op overhead
+ * @param {Object} [options]
+ * @param {string[]} [options.models] - Which of 'linear' and 'log' to try
+ * @param {number} [options.confidence] - Confidence level for the slope test
+ * @returns {Object|null} - Models tried, the best one, its predicted change
+ *   over the sweep range and whether the slope is significant; null with
+ *   fewer than three points
+ */
+function fitCostModel(points, { models = ['linear', 'log'], confidence = 0.95 } = {}) {
+  if (points.length < 3) {
+    return null;
+  }
+
+  const ys = points.map(point => point.y);
+  const fitted = {};
+  for (const model of models) {
+    // ln(x) needs positive x values
+    if (model === 'log' && points.some(point => point.x <= 0)) {
+      continue;
+    }
+    fitted[model] = linearRegression(points.map(point => TRANSFORMS[model](point.x)), ys);
+  }
+
+  const [best] = Object.entries(fitted).sort(([, a], [, b]) => b.r2 - a.r2);
+  if (!best) {
+    return null;
+  }
+  const [model, fit] = best;
+
+  const xs = points.map(point => point.x);
+  const transform = TRANSFORMS[model];
+  const predictedChange = fit.slope * (transform(Math.max(...xs)) - transform(Math.min(...xs)));
+  const critical = tCritical(fit.n - 2, confidence);
+
+  return {
+    model,
+    ...fit,
+    predictedChange,
+    confidence,
+    significant: fit.tStatistic !== null && Math.abs(fit.tStatistic) > critical,
+    models: fitted
+  };
+}
+
+export { linearRegression, fitCostModel };
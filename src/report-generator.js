@@ -3,6 +3,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { describeEnvironment, environmentKey } from './environment.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -22,16 +23,17 @@ class ReportGenerator {
       // Load all benchmark and memory results
       const benchmarkResults = await this.loadBenchmarkResults();
       const memoryResults = await this.loadMemoryResults();
+      const deoptResults = await this.loadDeoptResults();
       
-      if (benchmarkResults.length === 0 && memoryResults.length === 0) {
+      if (benchmarkResults.length === 0 && memoryResults.length === 0 && deoptResults.length === 0) {
         console.log('⚠️  No results found for report generation');
         return;
       }
       
-      console.log(`📊 Found ${benchmarkResults.length} benchmark results and ${memoryResults.length} memory results`);
+      console.log(`📊 Found ${benchmarkResults.length} benchmark results, ${memoryResults.length} memory results and ${deoptResults.length} deopt traces`);
       
       // Generate comprehensive report
-      const report = this.generateComprehensiveReport(benchmarkResults, memoryResults);
+      const report = this.generateComprehensiveReport(benchmarkResults, memoryResults, deoptResults);
       
       // Save report
       await this.saveReport(report);
@@ -114,6 +116,39 @@ class ReportGenerator {
     return results;
   }
 
+  async loadDeoptResults() {
+    const results = [];
+    
+    try {
+      const files = await this.findFiles('deopt_*.json');
+      
+      for (const file of files) {
+        try {
+          const content = await fs.readFile(file, 'utf8');
+          const data = JSON.parse(content);
+          
+          const version = this.extractVersion(file, data);
+          
+          results.push({
+            file,
+            version,
+            data,
+            timestamp: data.timestamp || new Date().toISOString()
+          });
+        } catch (error) {
+          console.warn(`⚠️  Could not load ${file}:`, error.message);
+        }
+      }
+      
+      results.sort((a, b) => this.compareVersions(a.version, b.version));
+      
+    } catch (error) {
+      console.warn('⚠️  Could not read deopt traces:', error.message);
+    }
+    
+    return results;
+  }
+
   async findFiles(pattern) {
     const files = [];
     
@@ -158,7 +193,7 @@ class ReportGenerator {
 
   extractVersion(filePath, data) {
     const filename = path.basename(filePath);
-    const versionMatch = filename.match(/(?:benchmark|memory)_v(\d+_\d+_\d+)/);
+    const versionMatch = filename.match(/(?:benchmark|memory|deopt)_v(\d+_\d+_\d+)/);
     
     if (versionMatch) {
       return versionMatch[1].replace(/_/g, '.');
@@ -185,12 +220,13 @@ class ReportGenerator {
     return 0;
   }
 
-  generateComprehensiveReport(benchmarkResults, memoryResults) {
+  generateComprehensiveReport(benchmarkResults, memoryResults, deoptResults = []) {
     const report = {
       generatedAt: new Date().toISOString(),
       summary: {
         totalBenchmarkResults: benchmarkResults.length,
         totalMemoryResults: memoryResults.length,
+        totalDeoptTraces: deoptResults.length,
         versionsTested: [...new Set([
           ...benchmarkResults.map(r => r.version),
           ...memoryResults.map(r => r.version)
@@ -199,12 +235,55 @@ class ReportGenerator {
       benchmarkAnalysis: this.analyzeBenchmarks(benchmarkResults),
       memoryAnalysis: this.analyzeMemory(memoryResults),
       recommendations: this.generateRecommendations(benchmarkResults, memoryResults),
-      performanceTrends: this.analyzePerformanceTrends(benchmarkResults)
+      performanceTrends: this.analyzePerformanceTrends(benchmarkResults),
+      deoptAnalysis: this.analyzeDeopts(deoptResults),
+      environments: this.analyzeEnvironments([...benchmarkResults, ...memoryResults, ...deoptResults])
     };
 
+    for (const version of report.environments.mixedVersions) {
+      console.log(`⚠️  ${version} results come from ${report.environments.versionEnvironments[version].length} different environments`);
+    }
+
     return report;
   }
 
+  /**
+   * Machines each Node.js version was measured on, from the environment
+   * fingerprint in the result files. Versions measured on more than one
+   * machine are listed under mixedVersions, since their numbers are not
+   * directly comparable. Files without a fingerprint are counted as unknown.
+   */
+  analyzeEnvironments(results) {
+    const analysis = {
+      versionEnvironments: {},
+      mixedVersions: []
+    };
+
+    const byVersion = {};
+    for (const result of results) {
+      const environment = result.data.environment;
+      const key = environmentKey(environment);
+      byVersion[result.version] = byVersion[result.version] || new Map();
+
+      const entry = byVersion[result.version].get(key) || {
+        key,
+        description: describeEnvironment(environment),
+        files: 0
+      };
+      entry.files++;
+      byVersion[result.version].set(key, entry);
+    }
+
+    for (const version of Object.keys(byVersion).sort(this.compareVersions.bind(this))) {
+      analysis.versionEnvironments[version] = [...byVersion[version].values()];
+      if (byVersion[version].size > 1) {
+        analysis.mixedVersions.push(version);
+      }
+    }
+
+    return analysis;
+  }
+
   analyzeBenchmarks(results) {
     const analysis = {
       versionPerformance: {},
@@ -305,6 +384,50 @@ class ReportGenerator {
     return analysis;
   }
 
+  /**
+   * Latest deopt trace per Node.js version: per scenario, the optimization and
+   * deopt counts by category and the benchmark functions that were deoptimized.
+   */
+  analyzeDeopts(results) {
+    const analysis = {
+      versionDeopts: {}
+    };
+
+    const latestByVersion = {};
+    for (const result of results) {
+      if (!latestByVersion[result.version] ||
+          new Date(result.timestamp) > new Date(latestByVersion[result.version].timestamp)) {
+        latestByVersion[result.version] = result;
+      }
+    }
+
+    for (const [version, result] of Object.entries(latestByVersion)) {
+      const scenarios = {};
+
+      for (const scenario of result.data.scenarios || []) {
+        scenarios[scenario.scenario] = {
+          optimizations: scenario.optimizations,
+          deopts: scenario.deopts,
+          asyncContextDeopts: scenario.byCategory?.asyncContext?.deopts || 0,
+          benchmarkDeopts: scenario.byCategory?.benchmark?.deopts || 0,
+          reasons: scenario.reasons,
+          deoptimizedFunctions: (scenario.functions || [])
+            .filter(entry => entry.deopts > 0)
+            .map(({ functionName, file, deopts, reasons }) => ({ functionName, file, deopts, reasons }))
+        };
+      }
+
+      analysis.versionDeopts[version] = {
+        timestamp: result.timestamp,
+        implementation: result.data.asyncContextFrame?.implementation || 'unknown',
+        totalDeopts: Object.values(scenarios).reduce((sum, scenario) => sum + scenario.deopts, 0),
+        scenarios
+      };
+    }
+
+    return analysis;
+  }
+
   analyzeMemory(results) {
     const analysis = {
       versionMemoryUsage: {},
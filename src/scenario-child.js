@@ -0,0 +1,44 @@
+import { AsyncLocalStorageBenchmark } from './benchmark.js';
+
+/**
+ * Child process entry point for isolated scenario runs
+ *
+ * With `core.isolation: "scenario"` the core suite forks this script once per
+ * scenario (same Node.js flags as the parent), so every scenario starts with a
+ * fresh heap, JIT state and GC history instead of inheriting whatever the
+ * previous scenarios left behind.
+ *
+ * Protocol (IPC, JSON):
+ *   parent -> child  { type: 'run', options, scenarioId }
+ *   child -> parent  { type: 'result', benchmark }  or  { type: 'error', message }
+ *
+ * `benchmark` is the same entry runScenario() produces in-process, so the
+ * parent can push it straight into results.benchmarks.
+ */
+
+async function runIsolatedScenario({ options, scenarioId }) {
+  const benchmark = new AsyncLocalStorageBenchmark({ ...options, isolation: 'none' });
+  const registry = await benchmark.loadScenarios();
+  const scenario = registry.get(scenarioId);
+
+  if (!scenario) {
+    throw new Error(`Unknown scenario "${scenarioId}"`);
+  }
+
+  return benchmark.runScenario(scenario);
+}
+
+process.once('message', async message => {
+  if (message?.type !== 'run') {
+    return;
+  }
+
+  let reply;
+  try {
+    reply = { type: 'result', benchmark: await runIsolatedScenario(message) };
+  } catch (error) {
+    reply = { type: 'error', message: error.stack || error.message };
+  }
+
+  process.send(reply, () => process.disconnect());
+});
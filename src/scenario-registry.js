@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Scenario Registry for the AsyncLocalStorage benchmark suite
+ *
+ * A scenario is a plain object describing one benchmark:
+ *
+ *   {
+ *     id: 'smallData',              // unique key, recorded as config.test in results
+ *     name: 'Small Data',           // human readable name used in reports
+ *     tags: ['core', 'data-size'],  // used to select subsets of scenarios
+ *     type: 'asyncContextFrame',    // optional, copied onto the result entry
+ *     isSupported() {},             // optional, return false to skip on this Node.js
+ *     requires: 'als.snapshot()',   // optional, what isSupported() checks for
+ *     params: { iterations: 10000 },
+ *     setup(bench, params) {},      // optional, runs before any measurement
+ *     baseline(bench, params) {},   // optional, work without AsyncLocalStorage
+ *     withALS(bench, params) {},    // required, the same work inside als.run()
+ *     nested(bench, params) {},     // optional, nested AsyncLocalStorage variant
+ *     nestedBaseline(bench, params) {}, // optional, nested without ALS, same iterations as nested()
+ *     teardown(bench, params) {},   // optional, runs after all measurements
+ *     sweep: { name, x, group },    // optional, member of a parameter sweep (sweep.js)
+ *     selfCheck: false,             // optional, skip in --self-check (I/O-bound scenarios)
+ *     isolate: true,                // optional, always run in its own child process
+ *     noiseFloor: true              // optional, always measure the A/A noise floor
+ *   }
+ *
+ * Every function receives the running AsyncLocalStorageBenchmark instance, so
+ * scenarios can reuse its helpers (bench.als, bench.createTestData(),
+ * bench.heavyComputation(), bench.asyncWork()) and must resolve to a result
+ * object with at least `duration` and `memoryDelta`.
+ *
+ * Scenarios that depend on an API missing from older Node.js versions declare
+ * isSupported(); when it returns false the scenario is skipped and recorded
+ * under `skipped` in the results instead of failing the run.
+ *
+ * Scenarios with a `baseline` are measured as a baseline-vs-ALS pair and get an
+ * `overhead` block in the results. Scenarios without one are run once and their
+ * result is recorded as-is.
+ *
+ * A `nested` variant is only compared against `nestedBaseline`, which must run
+ * the same nested structure at the same iteration count; without one the
+ * nested run is recorded but gets no `nestedTimePercent`.
+ *
+ * Paired scenarios that differ only in one parameter (store size, nesting
+ * depth, ...) can declare a `sweep`; the suite then fits a cost model of the
+ * overhead against that parameter and prints it in the summary.
+ *
+ * Scenarios tagged with one of OPT_IN_TAGS (the sweeps) are left out of the
+ * default run, since they are many and slow, and only run when selected by id
+ * or tag.
+ *
+ * A scenario module default-exports either a single scenario or an array of
+ * them, so a team can drop its own context-propagation patterns into a
+ * directory and point the runner at it with --scenarios-dir.
+ */
+const OPT_IN_TAGS = ['sweep'];
+
+class ScenarioRegistry {
+  constructor() {
+    this.scenarios = new Map();
+  }
+
+  register(scenario) {
+    this.validate(scenario);
+
+    if (this.scenarios.has(scenario.id)) {
+      throw new Error(`Scenario "${scenario.id}" is already registered`);
+    }
+
+    this.scenarios.set(scenario.id, {
+      tags: [],
+      params: {},
+      ...scenario
+    });
+
+    return this;
+  }
+
+  registerAll(scenarios) {
+    for (const scenario of scenarios) {
+      this.register(scenario);
+    }
+    return this;
+  }
+
+  validate(scenario) {
+    if (!scenario || typeof scenario !== 'object') {
+      throw new Error('Scenario must be an object');
+    }
+
+    const label = scenario.id || scenario.name || '<unnamed>';
+
+    if (typeof scenario.id !== 'string' || scenario.id.length === 0) {
+      throw new Error(`Scenario ${label}: "id" must be a non-empty string`);
+    }
+
+    if (typeof scenario.name !== 'string' || scenario.name.length === 0) {
+      throw new Error(`Scenario ${label}: "name" must be a non-empty string`);
+    }
+
+    if (typeof scenario.withALS !== 'function') {
+      throw new Error(`Scenario ${label}: "withALS" must be a function`);
+    }
+
+    for (const hook of ['isSupported', 'setup', 'baseline', 'nested', 'nestedBaseline', 'teardown']) {
+      if (scenario[hook] !== undefined && typeof scenario[hook] !== 'function') {
+        throw new Error(`Scenario ${label}: "${hook}" must be a function when provided`);
+      }
+    }
+
+    if (scenario.requires !== undefined && typeof scenario.requires !== 'string') {
+      throw new Error(`Scenario ${label}: "requires" must be a string when provided`);
+    }
+
+    if (scenario.tags !== undefined &&
+        (!Array.isArray(scenario.tags) || scenario.tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error(`Scenario ${label}: "tags" must be an array of strings`);
+    }
+
+    if (scenario.sweep !== undefined &&
+        (typeof scenario.sweep?.name !== 'string' || typeof scenario.sweep.x !== 'string')) {
+      throw new Error(`Scenario ${label}: "sweep" must be an object with string "name" and "x"`);
+    }
+
+    for (const flag of ['selfCheck', 'isolate', 'noiseFloor']) {
+      if (scenario[flag] !== undefined && typeof scenario[flag] !== 'boolean') {
+        throw new Error(`Scenario ${label}: "${flag}" must be a boolean when provided`);
+      }
+    }
+
+    if (scenario.params !== undefined &&
+        (scenario.params === null || typeof scenario.params !== 'object' || Array.isArray(scenario.params))) {
+      throw new Error(`Scenario ${label}: "params" must be an object`);
+    }
+  }
+
+  /**
+   * Imports every .js/.mjs module in a directory and registers its scenarios.
+   * Files are loaded in alphabetical order so the run order is stable.
+   */
+  async loadDirectory(dir) {
+    const resolved = path.resolve(dir);
+    const entries = await fs.readdir(resolved, { withFileTypes: true });
+
+    const files = entries
+      .filter(entry => entry.isFile() && /\.m?js$/.test(entry.name))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(resolved, file)).href);
+      const exported = module.default ?? module.scenarios;
+
+      if (!exported) {
+        console.warn(`⚠️  ${file} does not export any scenarios, skipping`);
+        continue;
+      }
+
+      this.registerAll(Array.isArray(exported) ? exported : [exported]);
+    }
+
+    return this;
+  }
+
+  /**
+   * Whether a scenario can run on the current Node.js version.
+   */
+  isSupported(scenario) {
+    return !scenario.isSupported || Boolean(scenario.isSupported());
+  }
+
+  get(id) {
+    return this.scenarios.get(id);
+  }
+
+  /**
+   * Lists registered scenarios in registration order, optionally restricted to
+   * specific ids or to scenarios carrying at least one of the given tags.
+   * Without either, scenarios carrying an opt-in tag are left out.
+   */
+  list({ ids = [], tags = [] } = {}) {
+    let scenarios = Array.from(this.scenarios.values());
+
+    if (ids.length > 0) {
+      const unknown = ids.filter(id => !this.scenarios.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scenario(s): ${unknown.join(', ')}`);
+      }
+      scenarios = scenarios.filter(scenario => ids.includes(scenario.id));
+    }
+
+    if (tags.length > 0) {
+      scenarios = scenarios.filter(scenario => scenario.tags.some(tag => tags.includes(tag)));
+    }
+
+    if (ids.length === 0 && tags.length === 0) {
+      scenarios = scenarios.filter(scenario => !scenario.tags.some(tag => OPT_IN_TAGS.includes(tag)));
+    }
+
+    return scenarios;
+  }
+}
+
+export { ScenarioRegistry, OPT_IN_TAGS };
@@ -0,0 +1,148 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * AsyncLocalStorage API scenarios
+ *
+ * The data size scenarios only exercise als.run() and getStore(). These cover
+ * the rest of the API surface applications rely on, each as a baseline-vs-ALS
+ * pair over the same per-operation work (create a store object, read it back):
+ *
+ * 1. ENTERWITH: als.enterWith(store) followed by getStore()
+ *    - Simulates: middleware that attaches context without a callback
+ *
+ * 2. EXIT: als.exit(fn) from inside an active store
+ *    - Simulates: running work that must not see the current request context
+ *
+ * 3. RUN + DISABLE: als.run(store, fn) followed by als.disable()
+ *    - Simulates: short-lived storage instances (per job, per test)
+ *
+ * 4. ASYNCLOCALSTORAGE.BIND: binding a function inside als.run() and calling it
+ *    after the store has been left
+ *    - Simulates: callback-based libraries that capture context for later
+ *
+ * 5. ASYNCLOCALSTORAGE.SNAPSHOT: taking a snapshot inside als.run() and running
+ *    a function in it after the store has been left
+ *    - Simulates: pools and queues that restore the caller's context
+ *
+ * Each scenario uses its own AsyncLocalStorage instance, created in setup() and
+ * disabled in teardown(), so enterWith() cannot leak a store into the rest of
+ * the suite. The ALS side returns undefined whenever the expected store is not
+ * seen, so `withALS.results` below `iterations` means context was lost.
+ *
+ * Scenarios declare isSupported() so they are skipped (and reported as such)
+ * on Node.js versions that lack the API.
+ */
+
+const readStore = (storage) => storage.getStore()?.id;
+
+// Own-property check: on older versions AsyncLocalStorage.bind resolves to
+// Function.prototype.bind, so a typeof check would report it as supported.
+const hasStatic = (method) => Object.prototype.hasOwnProperty.call(AsyncLocalStorage, method);
+
+const apiScenario = ({ id, name, requires, isSupported, baseline, withALS }) => {
+  let storage;
+
+  return {
+    id,
+    name,
+    tags: ['core', 'als-api'],
+    requires,
+    isSupported,
+    params: { iterations: 20000, dataSize: 5 },
+    setup: () => {
+      storage = new AsyncLocalStorage();
+    },
+    baseline: (bench, p) => baseline(bench, p),
+    withALS: (bench, p) => withALS(bench, p, storage),
+    teardown: () => {
+      storage.disable();
+    }
+  };
+};
+
+export default [
+  apiScenario({
+    id: 'enterWith',
+    name: 'AsyncLocalStorage.enterWith()',
+    requires: 'als.enterWith()',
+    isSupported: () => typeof AsyncLocalStorage.prototype.enterWith === 'function',
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, () => {
+      const current = bench.createTestData(p.dataSize);
+      return current.id;
+    }),
+    withALS: (bench, p, storage) => bench.benchmarkOperations(p.iterations, () => {
+      storage.enterWith(bench.createTestData(p.dataSize));
+      return readStore(storage);
+    })
+  }),
+
+  apiScenario({
+    id: 'exit',
+    name: 'AsyncLocalStorage.exit()',
+    requires: 'als.exit()',
+    isSupported: () => typeof AsyncLocalStorage.prototype.exit === 'function',
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, () => {
+      const outside = () => bench.createTestData(p.dataSize).id;
+      return outside();
+    }),
+    withALS: (bench, p, storage) => storage.run(bench.createTestData(p.dataSize), () =>
+      bench.benchmarkOperations(p.iterations, () => storage.exit(() => {
+        const data = bench.createTestData(p.dataSize);
+        return storage.getStore() === undefined ? data.id : undefined;
+      }))
+    )
+  }),
+
+  apiScenario({
+    id: 'disable',
+    name: 'AsyncLocalStorage run() + disable()',
+    requires: 'als.disable()',
+    isSupported: () => typeof AsyncLocalStorage.prototype.disable === 'function',
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, () => {
+      const data = bench.createTestData(p.dataSize);
+      const read = () => data.id;
+      return read();
+    }),
+    withALS: (bench, p, storage) => bench.benchmarkOperations(p.iterations, () => {
+      const id = storage.run(bench.createTestData(p.dataSize), () => readStore(storage));
+      storage.disable();
+      return storage.getStore() === undefined ? id : undefined;
+    })
+  }),
+
+  apiScenario({
+    id: 'bind',
+    name: 'AsyncLocalStorage.bind()',
+    requires: 'AsyncLocalStorage.bind()',
+    isSupported: () => hasStatic('bind'),
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, () => {
+      const data = bench.createTestData(p.dataSize);
+      const read = () => data.id;
+      return read();
+    }),
+    withALS: (bench, p, storage) => bench.benchmarkOperations(p.iterations, () => {
+      const bound = storage.run(bench.createTestData(p.dataSize), () =>
+        AsyncLocalStorage.bind(() => readStore(storage))
+      );
+      return bound();
+    })
+  }),
+
+  apiScenario({
+    id: 'snapshot',
+    name: 'AsyncLocalStorage.snapshot()',
+    requires: 'AsyncLocalStorage.snapshot()',
+    isSupported: () => hasStatic('snapshot'),
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, () => {
+      const data = bench.createTestData(p.dataSize);
+      const runInContext = (fn) => fn();
+      return runInContext(() => data.id);
+    }),
+    withALS: (bench, p, storage) => bench.benchmarkOperations(p.iterations, () => {
+      const runInContext = storage.run(bench.createTestData(p.dataSize), () =>
+        AsyncLocalStorage.snapshot()
+      );
+      return runInContext(() => readStore(storage));
+    })
+  }),
+];
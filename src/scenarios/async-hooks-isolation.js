@@ -0,0 +1,23 @@
+/**
+ * Async hooks cost isolation
+ *
+ * Runs the same promise-heavy workload with no hooks, an empty async hook, a
+ * hook doing executionAsyncResource() lookups and AsyncLocalStorage, and
+ * reports the gap between each step, so pre-v24 overhead can be attributed to
+ * async_hooks itself versus ALS (see benchmarkAsyncHooksIsolation()).
+ *
+ * The variants are measured inside one run rather than as a baseline-vs-ALS
+ * pair, since the "none" variant has to switch this.als off. Disabling this.als
+ * does nothing about ALS instances and hooks left by other scenarios (the
+ * als-api and multi-instance ones create their own), so the scenario always
+ * runs in a fresh child process where this.als is the only instance.
+ */
+export default {
+  id: 'asyncHooksIsolation',
+  name: 'Async Hooks Cost Isolation',
+  type: 'asyncHooksIsolation',
+  tags: ['asyncHooksIsolation'],
+  params: { iterations: 5000, depth: 10 },
+  isolate: true,
+  withALS: (bench, p) => bench.benchmarkAsyncHooksIsolation(p.iterations, p.depth)
+};
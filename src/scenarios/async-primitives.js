@@ -0,0 +1,144 @@
+import { propagationPair } from './propagation.js';
+
+/**
+ * Async primitive propagation matrix
+ *
+ * asyncWork() only exercises setTimeout. Context has to survive every kind of
+ * async boundary an application crosses, and each one goes through a
+ * different propagation path (async_hooks resources, microtask queue,
+ * PromiseResolveThenableJob, generator resumption, ...). Each scenario here
+ * crosses one primitive `hops` times per operation:
+ *
+ *   nextTick, queueMicrotask, setImmediate, setTimeout(0), setInterval,
+ *   native promises, custom thenables, async generators and for await
+ *
+ * See propagation.js for how the baseline and ALS sides check the context.
+ * Hops where the store is lost are counted in `withALS.contextLost`, so a
+ * primitive that drops context shows up as a correctness failure rather than
+ * as a suspiciously fast result. The summary prints a per-primitive overhead
+ * table.
+ *
+ * Timer based primitives are clamped to 1ms per hop by Node.js, so they run
+ * far fewer iterations by default.
+ */
+
+const viaCallback = (schedule) => async (hops, check) => {
+  let seen = 0;
+  for (let hop = 0; hop < hops; hop++) {
+    if (await new Promise(resolve => schedule(() => resolve(check())))) {
+      seen++;
+    }
+  }
+  return seen;
+};
+
+const primitives = {
+  nextTick: viaCallback(fn => process.nextTick(fn)),
+
+  queueMicrotask: viaCallback(fn => queueMicrotask(fn)),
+
+  setImmediate: viaCallback(fn => setImmediate(fn)),
+
+  setTimeout: viaCallback(fn => setTimeout(fn, 0)),
+
+  setInterval: viaCallback(fn => {
+    const timer = setInterval(() => {
+      clearInterval(timer);
+      fn();
+    }, 0);
+  }),
+
+  promise: async (hops, check) => {
+    let seen = 0;
+    for (let hop = 0; hop < hops; hop++) {
+      if (await Promise.resolve().then(check)) {
+        seen++;
+      }
+    }
+    return seen;
+  },
+
+  // A non-native thenable: awaiting it schedules a PromiseResolveThenableJob
+  // that calls then() from the microtask queue.
+  thenable: async (hops, check) => {
+    let seen = 0;
+    for (let hop = 0; hop < hops; hop++) {
+      const thenable = { then: (resolve) => resolve(check()) };
+      if (await thenable) {
+        seen++;
+      }
+    }
+    return seen;
+  },
+
+  // The check runs inside the generator body, after it resumes from an await.
+  asyncGenerator: async (hops, check) => {
+    async function* checks() {
+      for (let hop = 0; hop < hops; hop++) {
+        await null;
+        yield check();
+      }
+    }
+
+    let seen = 0;
+    const iterator = checks();
+    let step;
+    while (!(step = await iterator.next()).done) {
+      if (step.value) {
+        seen++;
+      }
+    }
+    return seen;
+  },
+
+  // The check runs in the loop body, after each value of an async iterable.
+  forAwait: async (hops, check) => {
+    const source = {
+      [Symbol.asyncIterator]() {
+        let hop = 0;
+        return {
+          next: () => new Promise(resolve => setImmediate(() => resolve({ value: hop, done: hop++ >= hops })))
+        };
+      }
+    };
+
+    let seen = 0;
+    for await (const _ of source) {
+      if (check()) {
+        seen++;
+      }
+    }
+    return seen;
+  }
+};
+
+const names = {
+  nextTick: 'process.nextTick',
+  queueMicrotask: 'queueMicrotask',
+  setImmediate: 'setImmediate',
+  setTimeout: 'setTimeout(0)',
+  setInterval: 'setInterval',
+  promise: 'Native Promise',
+  thenable: 'Custom Thenable',
+  asyncGenerator: 'Async Generator',
+  forAwait: 'for await'
+};
+
+const timerPrimitives = ['setTimeout', 'setInterval'];
+
+const primitiveScenario = (primitive) => {
+  const propagate = primitives[primitive];
+  const id = `primitive${primitive[0].toUpperCase()}${primitive.slice(1)}`;
+
+  return {
+    id,
+    name: `Async Primitive: ${names[primitive]}`,
+    tags: ['core', 'async-primitive'],
+    params: timerPrimitives.includes(primitive)
+      ? { primitive, iterations: 200, dataSize: 5, hops: 5 }
+      : { primitive, iterations: 5000, dataSize: 5, hops: 10 },
+    ...propagationPair(propagate)
+  };
+};
+
+export default Object.keys(primitives).map(primitiveScenario);
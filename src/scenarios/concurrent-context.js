@@ -0,0 +1,14 @@
+/**
+ * Concurrent context operations (AsyncContextFrame focus)
+ *
+ * High concurrency with context isolation: many interleaved async tasks each
+ * verify they still see their own store.
+ */
+export default {
+  id: 'concurrent',
+  name: 'Concurrent Context Operations',
+  type: 'asyncContextFrame',
+  tags: ['asyncContextFrame'],
+  params: { concurrency: 100, operationsPerConcurrency: 100 },
+  withALS: (bench, p) => bench.benchmarkConcurrentContextOperations(p.concurrency, p.operationsPerConcurrency)
+};
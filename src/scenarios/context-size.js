@@ -0,0 +1,119 @@
+/**
+ * Context size and shape sweep
+ *
+ * The data size scenarios only try createTestData() at 5, 50 and 500
+ * properties, and they build the store inside the measured loop, so store
+ * construction and ALS cost are mixed up. AsyncLocalStorage only keeps a
+ * reference to the store, so in theory its size should not matter at all.
+ * These scenarios test that: the store is built once in setup() and every
+ * operation enters it, crosses `hops` async boundaries and reads it back.
+ *
+ * Shapes (size is the number of entries, or KiB for the buffer):
+ *
+ *   flat      - plain object with `size` string properties
+ *   nested    - bench.createTestData(size), nested objects and arrays
+ *   map       - Map with `size` entries
+ *   buffer    - Buffer of `size` KiB
+ *   class     - class instance with `size` fields
+ *   frozen    - Object.freeze()d flat object
+ *
+ * each at 1, 10, 100, 1000 and 10000. The scenarios form the `contextSize`
+ * sweep, grouped by shape: the summary fits a linear and a log cost model of
+ * per-op overhead against size per shape and says whether size matters.
+ *
+ * The ALS side returns undefined when getStore() is not the store it entered,
+ * so `withALS.results` below `iterations` means context was lost.
+ */
+
+const SIZES = [1, 10, 100, 1000, 10000];
+
+const asyncHop = () => new Promise(resolve => setImmediate(resolve));
+
+class RequestContext {
+  constructor(size) {
+    for (let i = 0; i < size; i++) {
+      this[`field${i}`] = `value_${i}`;
+    }
+  }
+}
+
+const flatObject = (size) => {
+  const store = {};
+  for (let i = 0; i < size; i++) {
+    store[`key${i}`] = `value_${i}`;
+  }
+  return store;
+};
+
+const shapes = {
+  flat: {
+    name: 'Flat Object',
+    unit: 'properties',
+    create: (bench, size) => flatObject(size),
+    read: (store) => store.key0
+  },
+  nested: {
+    name: 'Nested Object',
+    unit: 'properties',
+    create: (bench, size) => bench.createTestData(size),
+    read: (store) => store.id
+  },
+  map: {
+    name: 'Map',
+    unit: 'entries',
+    create: (bench, size) => new Map(Object.entries(flatObject(size))),
+    read: (store) => store.get('key0')
+  },
+  buffer: {
+    name: 'Buffer',
+    unit: 'KiB',
+    create: (bench, size) => Buffer.alloc(size * 1024, 1),
+    read: (store) => store[0]
+  },
+  class: {
+    name: 'Class Instance',
+    unit: 'fields',
+    create: (bench, size) => new RequestContext(size),
+    read: (store) => store.field0
+  },
+  frozen: {
+    name: 'Frozen Object',
+    unit: 'properties',
+    create: (bench, size) => Object.freeze(flatObject(size)),
+    read: (store) => store.key0
+  }
+};
+
+const contextSizeScenario = (shape, size) => {
+  const { name, unit, create, read } = shapes[shape];
+  let store;
+
+  return {
+    id: `contextSize${shape[0].toUpperCase()}${shape.slice(1)}${size}`,
+    name: `Context Size: ${name} (${size} ${unit})`,
+    tags: ['sweep', 'context-size'],
+    params: { shape, size, iterations: 2000, hops: 3 },
+    sweep: { name: 'contextSize', x: 'size', group: 'shape', unit },
+    setup: (bench, p) => {
+      store = create(bench, p.size);
+    },
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, async () => {
+      for (let hop = 0; hop < p.hops; hop++) {
+        await asyncHop();
+      }
+      return read(store);
+    }),
+    withALS: (bench, p) => bench.benchmarkOperations(p.iterations, () => bench.als.run(store, async () => {
+      for (let hop = 0; hop < p.hops; hop++) {
+        await asyncHop();
+      }
+      const current = bench.als.getStore();
+      return current === store ? read(current) : undefined;
+    })),
+    teardown: () => {
+      store = undefined;
+    }
+  };
+};
+
+export default Object.keys(shapes).flatMap(shape => SIZES.map(size => contextSizeScenario(shape, size)));
@@ -0,0 +1,14 @@
+/**
+ * High-frequency context switching (AsyncContextFrame focus)
+ *
+ * Rapid context creation/switching. AsyncContextFrame's main improvement in
+ * Node.js v24+ is a much cheaper context switch, so this scenario hammers it.
+ */
+export default {
+  id: 'contextSwitching',
+  name: 'High-Frequency Context Switching',
+  type: 'asyncContextFrame',
+  tags: ['asyncContextFrame'],
+  params: { iterations: 50000 },
+  withALS: (bench, p) => bench.benchmarkHighFrequencyContextSwitching(p.iterations)
+};
@@ -0,0 +1,58 @@
+/**
+ * Data size scenarios
+ *
+ * The original test matrix: the same baseline-vs-ALS workload run with
+ * small, medium and large stores, with and without async operations.
+ *
+ * 1. SMALL DATA (5 properties, 10K iterations)
+ *    - Simulates: Basic request tracking (user ID, request ID, timestamp)
+ *    - Tests: Minimal overhead scenario
+ *
+ * 2. SMALL DATA + ASYNC (5 properties, 5K iterations, with I/O)
+ *    - Simulates: API calls with lightweight context
+ *    - Tests: Async propagation overhead
+ *
+ * 3. MEDIUM DATA (50 properties, 5K iterations)
+ *    - Simulates: User profiles, request metadata, session data
+ *    - Tests: Moderate data size impact
+ *
+ * 4. MEDIUM DATA + ASYNC (50 properties, 2.5K iterations, with I/O)
+ *    - Simulates: Database operations with rich context
+ *    - Tests: Combined data size + async overhead
+ *
+ * 5. LARGE DATA (500 properties, 1K iterations)
+ *    - Simulates: Complex application state, detailed audit trails
+ *    - Tests: Large object storage impact
+ *
+ * 6. LARGE DATA + ASYNC (500 properties, 500 iterations, with I/O)
+ *    - Simulates: Heavy processing with comprehensive context
+ *    - Tests: Worst-case overhead scenario
+ *
+ * For each scenario, we measure:
+ * - Without ALS: Baseline performance
+ * - With ALS: Standard AsyncLocalStorage usage
+ * - Nested ALS: Multiple context layers (reduced iterations), against the
+ *   same nesting without ALS at the same reduced iteration count
+ *
+ * The varying iteration counts ensure reasonable test completion time
+ * while maintaining statistical significance.
+ */
+const dataSizeScenario = (id, name, params) => ({
+  id,
+  name,
+  tags: ['core', 'data-size', params.asyncOps ? 'async' : 'sync'],
+  params,
+  baseline: (bench, p) => bench.benchmarkWithoutALS(p.iterations, p.dataSize, p.asyncOps),
+  withALS: (bench, p) => bench.benchmarkWithALS(p.iterations, p.dataSize, p.asyncOps),
+  nestedBaseline: (bench, p) => bench.benchmarkNestedWithoutALS(Math.floor(p.iterations / 5), p.dataSize),
+  nested: (bench, p) => bench.benchmarkNestedALS(Math.floor(p.iterations / 5), p.dataSize)
+});
+
+export default [
+  dataSizeScenario('smallData', 'Small Data', { iterations: 10000, dataSize: 5, asyncOps: false }),
+  dataSizeScenario('smallDataAsync', 'Small Data + Async', { iterations: 5000, dataSize: 5, asyncOps: true }),
+  dataSizeScenario('mediumData', 'Medium Data', { iterations: 5000, dataSize: 50, asyncOps: false }),
+  dataSizeScenario('mediumDataAsync', 'Medium Data + Async', { iterations: 2500, dataSize: 50, asyncOps: true }),
+  dataSizeScenario('largeData', 'Large Data', { iterations: 1000, dataSize: 500, asyncOps: false }),
+  dataSizeScenario('largeDataAsync', 'Large Data + Async', { iterations: 500, dataSize: 500, asyncOps: true }),
+];
@@ -0,0 +1,154 @@
+import { AsyncResource } from 'async_hooks';
+import events, { EventEmitter } from 'events';
+import { Readable, Transform, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { propagationPair } from './propagation.js';
+
+/**
+ * EventEmitter and stream scenarios
+ *
+ * Emitters and streams are where context loss is reported most often, because
+ * listeners and stream callbacks run in whatever context triggered them
+ * rather than the one they were registered in. Each scenario checks the store
+ * `hops` times per operation (see propagation.js):
+ *
+ * 1. EVENTEMITTER: listener registered inside the store, events emitted from
+ *    the same request after an async hop
+ *    - Simulates: request-scoped emitters (progress, lifecycle events)
+ *
+ * 2. EVENTEMITTERASYNCRESOURCE: emitter created inside the store, events
+ *    emitted from outside it, e.g. by a socket or a shared queue
+ *    - A plain EventEmitter would run the listener without the store here;
+ *      EventEmitterAsyncResource is expected to restore it
+ *
+ * 3. STREAM PIPELINE: Readable -> Transform -> Writable via stream.pipeline,
+ *    checking the store in both transform() and write()
+ *    - Simulates: request body parsing, response streaming
+ *
+ * 4. EVENTS.ON(): async iteration over an emitter with events.on()
+ *    - Simulates: consuming message/event streams with for await
+ */
+
+const asyncHop = () => new Promise(resolve => setImmediate(resolve));
+
+// Created at module load, outside any store. Not als.exit(): with the
+// async_hooks implementation exit() disables the storage altogether, which
+// would hide the store from the listener no matter what the emitter does.
+const outside = new AsyncResource('BenchmarkOutsideContext');
+
+const eventEmitter = async (hops, check) => {
+  const emitter = new EventEmitter();
+  let seen = 0;
+  emitter.on('tick', () => {
+    if (check()) {
+      seen++;
+    }
+  });
+
+  for (let hop = 0; hop < hops; hop++) {
+    await asyncHop();
+    emitter.emit('tick');
+  }
+  return seen;
+};
+
+const eventEmitterAsyncResource = async (hops, check) => {
+  const emitter = new events.EventEmitterAsyncResource({ name: 'BenchmarkEmitter' });
+  let seen = 0;
+  emitter.on('tick', () => {
+    if (check()) {
+      seen++;
+    }
+  });
+
+  for (let hop = 0; hop < hops; hop++) {
+    await asyncHop();
+    outside.runInAsyncScope(() => emitter.emit('tick'));
+  }
+  emitter.emitDestroy();
+  return seen;
+};
+
+const streamPipeline = async (hops, check) => {
+  // One chunk per hop; a chunk only counts if both transform() and write() see the store
+  const chunks = Array.from({ length: hops }, (_, index) => ({ index, transformed: false }));
+  let seen = 0;
+
+  await pipeline(
+    Readable.from(chunks),
+    new Transform({
+      objectMode: true,
+      transform(chunk, encoding, callback) {
+        chunk.transformed = check();
+        callback(null, chunk);
+      }
+    }),
+    new Writable({
+      objectMode: true,
+      write(chunk, encoding, callback) {
+        if (chunk.transformed && check()) {
+          seen++;
+        }
+        setImmediate(callback);
+      }
+    })
+  );
+
+  return seen;
+};
+
+const eventsOn = async (hops, check) => {
+  const emitter = new EventEmitter();
+  const iterator = events.on(emitter, 'tick');
+  let seen = 0;
+  let emitted = 0;
+
+  const emitNext = () => setImmediate(() => emitter.emit('tick', emitted++));
+  emitNext();
+
+  for await (const _ of iterator) {
+    if (check()) {
+      seen++;
+    }
+    if (emitted >= hops) {
+      break;
+    }
+    emitNext();
+  }
+
+  return seen;
+};
+
+const propagationScenario = ({ id, name, propagate, ...rest }) => ({
+  id,
+  name,
+  tags: ['core', 'events-streams'],
+  params: { iterations: 2000, dataSize: 5, hops: 10 },
+  ...rest,
+  ...propagationPair(propagate)
+});
+
+export default [
+  propagationScenario({
+    id: 'eventEmitter',
+    name: 'EventEmitter Listeners',
+    propagate: eventEmitter
+  }),
+  propagationScenario({
+    id: 'eventEmitterAsyncResource',
+    name: 'EventEmitterAsyncResource',
+    requires: 'events.EventEmitterAsyncResource',
+    isSupported: () => typeof events.EventEmitterAsyncResource === 'function',
+    propagate: eventEmitterAsyncResource
+  }),
+  propagationScenario({
+    id: 'streamPipeline',
+    name: 'Stream Pipeline (Readable -> Transform -> Writable)',
+    propagate: streamPipeline
+  }),
+  propagationScenario({
+    id: 'eventsOn',
+    name: 'events.on() Async Iteration',
+    propagate: eventsOn
+  }),
+];
@@ -0,0 +1,195 @@
+import http from 'http';
+import { performance } from 'perf_hooks';
+import { createLatencyHistogram, recordSince, withLatency } from '../latency-histogram.js';
+import { consume } from '../sink.js';
+
+/**
+ * HTTP server end-to-end scenario
+ *
+ * The CPU-loop scenarios say what a single als.run() costs; stakeholders ask
+ * what it costs a real server. This scenario starts two node:http servers on
+ * 127.0.0.1 with the same middleware chain:
+ *
+ * - Without ALS: each middleware reads the request context from `req.context`
+ * - With ALS: the first middleware enters the context with als.run() and every
+ *   later middleware (and the handler) reads it with als.getStore()
+ *
+ * Each middleware does a little work and crosses a microtask boundary, the way
+ * async auth/logging/tenant middlewares do. A keep-alive load generator in the
+ * same process sends `iterations` requests over `connections` sockets and
+ * records per-request latency, so the results carry req/s and latency
+ * percentiles for both sides. The load generator shares the CPU with the
+ * servers, which affects both sides equally.
+ *
+ * Every request carries an x-request-id header that the handler echoes from
+ * the context it sees; a mismatch is counted in `contextLost`. A handler that
+ * throws answers 500, and the load generator fails the run on any non-200 or
+ * unparseable response instead of counting it.
+ */
+
+const startServer = (handler) => new Promise((resolve, reject) => {
+  const server = http.createServer(handler);
+  server.keepAliveTimeout = 60000;
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const closeServer = (server) => new Promise(resolve => {
+  if (typeof server.closeAllConnections === 'function') {
+    server.closeAllConnections();
+  }
+  server.close(() => resolve());
+});
+
+const middlewareWork = (context, index) => {
+  context.trail.push(index);
+  return context.trail.length;
+};
+
+const respond = (res, requestId) => {
+  res.writeHead(200, { 'content-type': 'application/json', 'x-request-id': requestId });
+  res.end(JSON.stringify({ requestId }));
+};
+
+const respondWithError = (res, error) => {
+  if (!res.headersSent) {
+    res.writeHead(500, { 'content-type': 'application/json' });
+  }
+  res.end(JSON.stringify({ error: error.message }));
+};
+
+// node:http ignores a handler's return value, so both handlers catch their own
+// errors and answer 500; a rejected promise would otherwise be unhandled and
+// end the run
+const createBaselineHandler = (bench, p) => async (req, res) => {
+  try {
+    req.context = { ...bench.createTestData(p.dataSize), requestId: req.headers['x-request-id'], trail: [] };
+
+    for (let index = 0; index < p.middlewares; index++) {
+      await null;
+      middlewareWork(req.context, index);
+    }
+
+    respond(res, req.context.requestId);
+  } catch (error) {
+    respondWithError(res, error);
+  }
+};
+
+const createALSHandler = (bench, p) => (req, res) => {
+  try {
+    const context = { ...bench.createTestData(p.dataSize), requestId: req.headers['x-request-id'], trail: [] };
+
+    bench.als.run(context, async () => {
+      for (let index = 0; index < p.middlewares; index++) {
+        await null;
+        middlewareWork(bench.als.getStore(), index);
+      }
+
+      respond(res, bench.als.getStore()?.requestId ?? 'missing');
+    }).catch(error => respondWithError(res, error));
+  } catch (error) {
+    respondWithError(res, error);
+  }
+};
+
+const request = (agent, port, requestId) => new Promise((resolve, reject) => {
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    path: '/',
+    agent,
+    headers: { 'x-request-id': requestId }
+  }, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => {
+      if (res.statusCode !== 200) {
+        reject(new Error(`Request ${requestId} failed with ${res.statusCode}: ${body}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(body).requestId);
+      } catch (error) {
+        reject(new Error(`Request ${requestId} got an unparseable response: ${error.message}`));
+      }
+    });
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+/**
+ * Sends `p.iterations` requests over `p.connections` keep-alive connections
+ * and returns a result in the shape of the other benchmark functions.
+ */
+const runLoad = async (server, agent, p) => {
+  const { port } = server.address();
+  const histogram = createLatencyHistogram();
+  let next = 0;
+  let completed = 0;
+  let contextLost = 0;
+
+  const startTime = performance.now();
+  const startMemory = process.memoryUsage();
+
+  const connection = async () => {
+    while (next < p.iterations) {
+      const requestId = `req-${next++}`;
+      const requestStart = process.hrtime.bigint();
+      const echoed = consume(await request(agent, port, requestId));
+      recordSince(histogram, requestStart);
+
+      completed++;
+      if (echoed !== requestId) {
+        contextLost++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(p.connections, p.iterations) }, connection));
+
+  const endTime = performance.now();
+  const endMemory = process.memoryUsage();
+  const duration = endTime - startTime;
+
+  return withLatency({
+    duration,
+    memoryDelta: {
+      rss: endMemory.rss - startMemory.rss,
+      heapUsed: endMemory.heapUsed - startMemory.heapUsed,
+      heapTotal: endMemory.heapTotal - startMemory.heapTotal,
+      external: endMemory.external - startMemory.external
+    },
+    results: completed,
+    requestsPerSecond: completed / (duration / 1000),
+    contextLost
+  }, histogram, completed);
+};
+
+let servers = null;
+
+export default {
+  id: 'httpServer',
+  name: 'HTTP Server (keep-alive, middleware chain)',
+  tags: ['core', 'http'],
+  params: { iterations: 5000, connections: 10, middlewares: 5, dataSize: 5 },
+  // Connection setup is a fixed cost, so time does not scale linearly with requests
+  selfCheck: false,
+  setup: async (bench, p) => {
+    servers = {
+      baseline: await startServer(createBaselineHandler(bench, p)),
+      withALS: await startServer(createALSHandler(bench, p)),
+      agent: new http.Agent({ keepAlive: true, maxSockets: p.connections })
+    };
+  },
+  baseline: (bench, p) => runLoad(servers.baseline, servers.agent, p),
+  withALS: (bench, p) => runLoad(servers.withALS, servers.agent, p),
+  teardown: async () => {
+    servers.agent.destroy();
+    await closeServer(servers.baseline);
+    await closeServer(servers.withALS);
+    servers = null;
+  }
+};
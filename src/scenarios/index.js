@@ -0,0 +1,34 @@
+import dataSizeScenarios from './data-size.js';
+import contextSwitching from './context-switching.js';
+import concurrentContext from './concurrent-context.js';
+import propagationStress from './propagation-stress.js';
+import alsApiScenarios from './als-api.js';
+import multiInstanceScenarios from './multi-instance.js';
+import contextSizeScenarios from './context-size.js';
+import nestingDepthScenarios from './nesting-depth.js';
+import asyncPrimitiveScenarios from './async-primitives.js';
+import eventsStreamsScenarios from './events-streams.js';
+import threadpoolScenarios from './threadpool-io.js';
+import httpServer from './http-server.js';
+import asyncHooksIsolation from './async-hooks-isolation.js';
+
+/**
+ * Built-in scenarios, in the order the suite runs them.
+ */
+const builtinScenarios = [
+  ...dataSizeScenarios,
+  ...alsApiScenarios,
+  ...multiInstanceScenarios,
+  ...contextSizeScenarios,
+  ...nestingDepthScenarios,
+  ...asyncPrimitiveScenarios,
+  ...eventsStreamsScenarios,
+  ...threadpoolScenarios,
+  httpServer,
+  asyncHooksIsolation,
+  contextSwitching,
+  concurrentContext,
+  propagationStress,
+];
+
+export { builtinScenarios };
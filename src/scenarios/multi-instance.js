@@ -0,0 +1,88 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Multiple AsyncLocalStorage instances
+ *
+ * Real applications rarely have a single store: tracing, logging, tenant,
+ * auth and feature flag libraries each bring their own AsyncLocalStorage, so
+ * three to six live instances per request is common. These scenarios run the
+ * same request-shaped operation with 1, 2, 4, 8 and 16 instances:
+ *
+ * - Without ALS: one context object per "library", held in local variables
+ *   across the async hops
+ * - With ALS: one als.run() per instance (nested, the way independent
+ *   middlewares enter their stores), then every store is read back after
+ *   each async hop
+ *
+ * With the async_hooks based implementation every live instance adds work to
+ * each async resource init, while AsyncContextFrame (Node.js v24+) keeps all
+ * stores in one frame, so the scaling curve is the interesting result. The
+ * summary prints it as a table. The per-count overheads are small and swing
+ * from run to run, so these scenarios always measure the A/A noise floor and
+ * the table says which steps are within it.
+ *
+ * The ALS side returns undefined if any store is lost or mixed up, so
+ * `withALS.results` below `iterations` means context was lost.
+ */
+
+const INSTANCE_COUNTS = [1, 2, 4, 8, 16];
+
+const asyncHop = () => new Promise(resolve => setImmediate(resolve));
+
+const runInAll = (storages, contexts, fn, index = 0) => {
+  if (index === storages.length) {
+    return fn();
+  }
+  return storages[index].run(contexts[index], () => runInAll(storages, contexts, fn, index + 1));
+};
+
+const createContexts = (bench, p) =>
+  Array.from({ length: p.instances }, () => bench.createTestData(p.dataSize));
+
+const multiInstanceScenario = (instances) => {
+  let storages = [];
+
+  return {
+    id: `multiInstance${instances}`,
+    name: `Multiple ALS Instances (${instances})`,
+    tags: ['core', 'multi-instance'],
+    params: { instances, iterations: 5000, dataSize: 5, hops: 3 },
+    noiseFloor: true,
+    setup: (bench, p) => {
+      storages = Array.from({ length: p.instances }, () => new AsyncLocalStorage());
+    },
+    baseline: (bench, p) => bench.benchmarkOperations(p.iterations, async () => {
+      const contexts = createContexts(bench, p);
+      let seen = 0;
+
+      for (let hop = 0; hop < p.hops; hop++) {
+        await asyncHop();
+        seen += contexts.filter(context => context.id).length;
+      }
+
+      return seen === p.instances * p.hops ? contexts[0].id : undefined;
+    }),
+    withALS: (bench, p) => bench.benchmarkOperations(p.iterations, () => {
+      const contexts = createContexts(bench, p);
+
+      return runInAll(storages, contexts, async () => {
+        let seen = 0;
+
+        for (let hop = 0; hop < p.hops; hop++) {
+          await asyncHop();
+          seen += storages.filter((storage, index) => storage.getStore() === contexts[index]).length;
+        }
+
+        return seen === p.instances * p.hops ? contexts[0].id : undefined;
+      });
+    }),
+    teardown: () => {
+      for (const storage of storages) {
+        storage.disable();
+      }
+      storages = [];
+    }
+  };
+};
+
+export default INSTANCE_COUNTS.map(multiInstanceScenario);
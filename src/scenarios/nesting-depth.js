@@ -0,0 +1,31 @@
+/**
+ * Nesting depth sweep
+ *
+ * The data size scenarios' nested run only measures a fixed depth of 3, with
+ * asyncWork()'s 1ms timer at every level. These scenarios measure how the
+ * cost grows with depth: at depths 1, 2, 4, 8, 16, 32 and 64,
+ * benchmarkNestedALS() (one als.run() per level) is paired with
+ * benchmarkNestedWithoutALS(), the same nested structure passing data down
+ * explicitly, at the same iteration count.
+ *
+ * Each level awaits a resolved promise instead of asyncWork()'s 1ms timer
+ * (asyncOps: false) and the innermost level does a small heavyComputation()
+ * (computeIterations), so the per-level ALS cost is not hidden under timer
+ * latency and leaf work. The scenarios form the `nestingDepth` sweep: the
+ * summary fits a linear model of per-op overhead against depth, whose slope is
+ * the cost of one more nested als.run().
+ */
+
+const DEPTHS = [1, 2, 4, 8, 16, 32, 64];
+
+const nestingDepthScenario = (depth) => ({
+  id: `nestingDepth${depth}`,
+  name: `Nesting Depth (${depth})`,
+  tags: ['sweep', 'nesting-depth'],
+  params: { depth, iterations: 2000, dataSize: 5, asyncOps: false, computeIterations: 100 },
+  sweep: { name: 'nestingDepth', x: 'depth', unit: 'levels', models: ['linear'] },
+  baseline: (bench, p) => bench.benchmarkNestedWithoutALS(p.iterations, p.dataSize, p.depth, p),
+  withALS: (bench, p) => bench.benchmarkNestedALS(p.iterations, p.dataSize, p.depth, p)
+});
+
+export default DEPTHS.map(nestingDepthScenario);
@@ -0,0 +1,13 @@
+/**
+ * Context propagation stress (AsyncContextFrame focus)
+ *
+ * Deep async chains with context passing, similar to a microservice call chain.
+ */
+export default {
+  id: 'propagation',
+  name: 'Context Propagation Stress',
+  type: 'asyncContextFrame',
+  tags: ['asyncContextFrame'],
+  params: { chains: 1000, depth: 10 },
+  withALS: (bench, p) => bench.benchmarkContextPropagationStress(p.chains, p.depth)
+};
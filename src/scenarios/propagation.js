@@ -0,0 +1,41 @@
+/**
+ * Shared baseline-vs-ALS pair for propagation scenarios
+ *
+ * `propagate(hops, check, bench, params)` crosses some async boundary `hops`
+ * times, calls `check()` on the far side of each crossing and resolves to the
+ * number of checks that passed.
+ *
+ * - Without ALS: the context object is captured in a closure and checked
+ *   after every hop
+ * - With ALS: the operation runs inside als.run() and checks after every hop
+ *   that als.getStore() still returns the same object
+ *
+ * Every hop on the ALS side where the store is missing or wrong is counted in
+ * `withALS.contextLost`.
+ */
+const propagationPair = (propagate) => ({
+  baseline: (bench, p) => bench.benchmarkOperations(p.iterations, async () => {
+    const context = bench.createTestData(p.dataSize);
+    const expectedId = context.id;
+    const seen = await propagate(p.hops, () => context.id === expectedId, bench, p);
+    return seen === p.hops ? context.id : undefined;
+  }),
+  withALS: async (bench, p) => {
+    let contextLost = 0;
+
+    const result = await bench.benchmarkOperations(p.iterations, () => {
+      const context = bench.createTestData(p.dataSize);
+
+      return bench.als.run(context, async () => {
+        const seen = await propagate(p.hops, () => bench.als.getStore() === context, bench, p);
+        contextLost += p.hops - seen;
+        return seen === p.hops ? context.id : undefined;
+      });
+    });
+
+    result.contextLost = contextLost;
+    return result;
+  }
+});
+
+export { propagationPair };
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { propagationPair } from './propagation.js';
+
+/**
+ * Threadpool I/O scenarios
+ *
+ * asyncWork() simulates I/O with a timer, so it never leaves the main thread.
+ * Real I/O completes on the libuv threadpool and comes back through a native
+ * callback, which is where older Node.js versions historically lost context.
+ * Each scenario does `hops` real threadpool round-trips per operation and
+ * checks the store after every one (see propagation.js):
+ *
+ * 1. FS.PROMISES: writeFile + readFile of `payloadBytes` in a temp directory
+ *    - Simulates: file uploads, caches on disk, config reloads
+ *
+ * 2. ZLIB: gzip + gunzip of `payloadBytes` with the callback API
+ *    - Simulates: response compression, compressed message payloads
+ *
+ * 3. CRYPTO.PBKDF2: key derivation with `pbkdf2Iterations` rounds
+ *    - Simulates: password hashing in login handlers
+ *
+ * The fs scenario's temp directory is created in setup() and removed in
+ * teardown().
+ */
+
+const createPayload = (bytes) => Buffer.from('als-benchmark '.repeat(Math.ceil(bytes / 14)).slice(0, bytes));
+
+let tempDir = null;
+
+const fsPromises = async (hops, check, bench, p) => {
+  const payload = createPayload(p.payloadBytes);
+  let seen = 0;
+
+  for (let hop = 0; hop < hops; hop++) {
+    const file = path.join(tempDir, `hop-${hop}.bin`);
+    await fs.writeFile(file, payload);
+    const written = await fs.readFile(file);
+    if (written.length === payload.length && check()) {
+      seen++;
+    }
+  }
+  return seen;
+};
+
+const zlibRoundTrip = async (hops, check, bench, p) => {
+  const payload = createPayload(p.payloadBytes);
+  let seen = 0;
+
+  for (let hop = 0; hop < hops; hop++) {
+    const ok = await new Promise((resolve, reject) => {
+      zlib.gzip(payload, (error, compressed) => {
+        if (error) return reject(error);
+        const afterGzip = check();
+        zlib.gunzip(compressed, (error, restored) => {
+          if (error) return reject(error);
+          resolve(afterGzip && restored.length === payload.length && check());
+        });
+      });
+    });
+    if (ok) {
+      seen++;
+    }
+  }
+  return seen;
+};
+
+const pbkdf2 = async (hops, check, bench, p) => {
+  let seen = 0;
+
+  for (let hop = 0; hop < hops; hop++) {
+    const ok = await new Promise((resolve, reject) => {
+      crypto.pbkdf2('benchmark-password', `salt-${hop}`, p.pbkdf2Iterations, 32, 'sha256', (error) => {
+        if (error) return reject(error);
+        resolve(check());
+      });
+    });
+    if (ok) {
+      seen++;
+    }
+  }
+  return seen;
+};
+
+const threadpoolScenario = ({ id, name, params, propagate, ...rest }) => ({
+  id,
+  name,
+  tags: ['core', 'threadpool-io'],
+  params: { iterations: 500, dataSize: 5, hops: 4, ...params },
+  ...rest,
+  ...propagationPair(propagate)
+});
+
+export default [
+  threadpoolScenario({
+    id: 'fsPromises',
+    name: 'fs.promises Read/Write',
+    params: { payloadBytes: 16384 },
+    propagate: fsPromises,
+    setup: async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'als-benchmark-'));
+    },
+    teardown: async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  }),
+  threadpoolScenario({
+    id: 'zlib',
+    name: 'zlib gzip/gunzip',
+    params: { payloadBytes: 16384 },
+    propagate: zlibRoundTrip
+  }),
+  threadpoolScenario({
+    id: 'pbkdf2',
+    name: 'crypto.pbkdf2',
+    params: { pbkdf2Iterations: 1000 },
+    propagate: pbkdf2
+  }),
+];
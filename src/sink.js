@@ -0,0 +1,41 @@
+/**
+ * Result sink ("black hole")
+ *
+ * A value a benchmark loop computes but never uses can be optimized away,
+ * partly or entirely, and whether that happens depends on the V8 version:
+ * `const _ = stored.id.length` or the sum of heavyComputation() may be free on
+ * one version and real work on the next, which shows up as a version
+ * difference that has nothing to do with AsyncLocalStorage.
+ *
+ * Every scenario routes the values it produces through consume(). It stores
+ * the value on a module-level object that stays reachable through consumed(),
+ * so the compiler has to assume the value is observed and keep the work that
+ * produced it. The store is a single property write, cheap enough to sit in
+ * the hottest loops on both the baseline and the ALS side.
+ *
+ * The self-check mode (--self-check) verifies the result: a scenario whose
+ * time does not grow with its iteration count has had work eliminated.
+ */
+
+const sink = {
+  value: undefined,
+  count: 0
+};
+
+/**
+ * Marks `value` as used and returns it unchanged.
+ */
+function consume(value) {
+  sink.value = value;
+  sink.count++;
+  return value;
+}
+
+/**
+ * Number of values consumed so far.
+ */
+function consumed() {
+  return sink.count;
+}
+
+export { consume, consumed };
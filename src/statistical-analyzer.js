@@ -1,5 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { describeEnvironment, environmentKey } from './environment.js';
 
 /**
  * Statistical Analysis Tool for AsyncLocalStorage Benchmark Results
@@ -15,6 +16,7 @@ class StatisticalAnalyzer {
       summary: {},
       outlierDetection: {},
       trends: {},
+      environments: {},
       recommendations: []
     };
   }
@@ -197,7 +199,8 @@ class StatisticalAnalyzer {
               overheadValues: [],
               nestedOverheadValues: [],
               memoryValues: [],
-              durationValues: []
+              durationValues: [],
+              noiseFloorValues: []
             };
           }
           
@@ -214,6 +217,11 @@ class StatisticalAnalyzer {
             groupedResults[nodeVersion][benchmarkName].memoryValues.push(benchmark.overhead.memoryRSSBytes);
           }
           
+          // Noise floor from the A/A run (--noise-floor), in overhead percentage points
+          if (benchmark.noiseFloor && typeof benchmark.noiseFloor.floorPercent === 'number') {
+            groupedResults[nodeVersion][benchmarkName].noiseFloorValues.push(benchmark.noiseFloor.floorPercent);
+          }
+          
           // Collect duration values
           if (benchmark.withALS && typeof benchmark.withALS.duration === 'number') {
             groupedResults[nodeVersion][benchmarkName].durationValues.push(benchmark.withALS.duration);
@@ -231,12 +239,41 @@ class StatisticalAnalyzer {
           overhead: this.calculateStatistics(data.overheadValues),
           nestedOverhead: this.calculateStatistics(data.nestedOverheadValues),
           memory: this.calculateStatistics(data.memoryValues),
-          duration: this.calculateStatistics(data.durationValues)
+          duration: this.calculateStatistics(data.durationValues),
+          noiseFloor: this.calculateStatistics(data.noiseFloorValues)
         };
       }
     }
   }
 
+  /**
+   * Group each Node.js version's results by the machine they were measured on
+   * (environment fingerprint), so variability caused by mixing runners can be
+   * told apart from variability within one machine.
+   */
+  analyzeEnvironments() {
+    console.log('Analyzing environments...');
+
+    const byVersion = {};
+    for (const result of this.results) {
+      const nodeVersion = result.nodeVersion || 'unknown';
+      const key = environmentKey(result.environment);
+      byVersion[nodeVersion] = byVersion[nodeVersion] || new Map();
+
+      const entry = byVersion[nodeVersion].get(key) || {
+        key,
+        description: describeEnvironment(result.environment),
+        results: 0
+      };
+      entry.results++;
+      byVersion[nodeVersion].set(key, entry);
+    }
+
+    for (const [nodeVersion, environments] of Object.entries(byVersion)) {
+      this.analysis.environments[nodeVersion] = [...environments.values()];
+    }
+  }
+
   /**
    * Detect and analyze outliers across all results
    */
@@ -295,6 +332,18 @@ class StatisticalAnalyzer {
             });
           }
           
+          if (stats.noiseFloor && Math.abs(stats.overhead.mean) <= stats.noiseFloor.mean) {
+            recommendations.push({
+              type: 'within_noise',
+              nodeVersion,
+              benchmark: benchmarkName,
+              metric: 'overhead',
+              overhead_mean: stats.overhead.mean,
+              noise_floor: stats.noiseFloor.mean,
+              message: `${benchmarkName} overhead on Node.js ${nodeVersion} (${stats.overhead.mean.toFixed(2)}%) is within the A/A noise floor (±${stats.noiseFloor.mean.toFixed(2)}%). Treat it as no measurable difference.`
+            });
+          }
+          
           if (cv < 5 && outlierPercent < 5) {
             recommendations.push({
               type: 'reliable_results',
@@ -310,6 +359,18 @@ class StatisticalAnalyzer {
       }
     }
     
+    for (const [nodeVersion, environments] of Object.entries(this.analysis.environments)) {
+      if (environments.length > 1) {
+        recommendations.push({
+          type: 'mixed_environment',
+          nodeVersion,
+          benchmark: 'all',
+          environments: environments.map(environment => environment.description),
+          message: `Results for Node.js ${nodeVersion} come from ${environments.length} different environments. Variability may reflect the machines rather than the code; compare runs from one environment.`
+        });
+      }
+    }
+    
     this.analysis.recommendations = recommendations;
   }
 
@@ -325,6 +386,7 @@ class StatisticalAnalyzer {
         nodeVersions: Object.keys(this.analysis.summary),
         reliabilityOverview: this.getReliabilityOverview()
       },
+      environments: this.analysis.environments,
       detailedAnalysis: this.analysis.summary,
       outlierAnalysis: this.analysis.outlierDetection,
       recommendations: this.analysis.recommendations,
@@ -335,6 +397,7 @@ class StatisticalAnalyzer {
           'Standard deviation and coefficient of variation',
           'Confidence intervals (95% and 99%)',
           'Outlier detection using IQR method',
+          'Significance against the A/A noise floor (when recorded)',
           'Distribution analysis (skewness and kurtosis)'
         ],
         reliabilityCriteria: {
@@ -409,7 +472,7 @@ class StatisticalAnalyzer {
   }
 
   async saveSummaryCSV(filePath) {
-    const csvLines = ['Node Version,Benchmark,Mean Overhead,Std Dev,CV%,95% CI Lower,95% CI Upper,Outliers%,Reliability'];
+    const csvLines = ['Node Version,Benchmark,Mean Overhead,Std Dev,CV%,95% CI Lower,95% CI Upper,Outliers%,Reliability,Noise Floor,Significant'];
     
     for (const [nodeVersion, benchmarks] of Object.entries(this.analysis.summary)) {
       for (const [benchmarkName, stats] of Object.entries(benchmarks)) {
@@ -428,7 +491,9 @@ class StatisticalAnalyzer {
             s.confidence_interval_95.lower,
             s.confidence_interval_95.upper,
             s.outliers.percentage,
-            reliability
+            reliability,
+            stats.noiseFloor ? stats.noiseFloor.mean : '',
+            stats.noiseFloor ? Math.abs(s.mean) > stats.noiseFloor.mean : ''
           ].join(','));
         }
       }
@@ -470,6 +535,7 @@ class StatisticalAnalyzer {
     
     await this.loadResults(resultsDir);
     this.analyzeBenchmarks();
+    this.analyzeEnvironments();
     this.detectOutliers();
     this.generateRecommendations();
     await this.saveAnalysis();
@@ -487,6 +553,13 @@ class StatisticalAnalyzer {
     console.log(`  Fair: ${report.summary.reliabilityOverview.fair}`);
     console.log(`  Poor: ${report.summary.reliabilityOverview.poor}`);
     
+    console.log('\nEnvironments:');
+    for (const [nodeVersion, environments] of Object.entries(report.environments)) {
+      for (const environment of environments) {
+        console.log(`  ${nodeVersion}: ${environment.description} (${environment.results} results)`);
+      }
+    }
+    
     console.log('\nKey recommendations:');
     for (const rec of this.analysis.recommendations.slice(0, 5)) {
       console.log(`  - ${rec.message}`);
@@ -0,0 +1,101 @@
+/**
+ * Small statistics helpers shared by the benchmark runners.
+ *
+ * StatisticalAnalyzer does the heavy post-hoc analysis of result files; these
+ * are the few measures the runners need while a benchmark is still running.
+ */
+
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1), since rounds are a sample of the
+ * scenario's behaviour rather than the whole population.
+ */
+function stddev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1));
+}
+
+/**
+ * Coefficient of variation (stddev / mean), used to decide when repeated
+ * timings have settled.
+ */
+function coefficientOfVariation(values) {
+  const avg = mean(values);
+  if (avg === 0) return 0;
+  return stddev(values) / avg;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index % 1;
+  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+}
+
+function median(values) {
+  return percentile(values, 50);
+}
+
+// Two-sided Student's t critical values for df = 1..30; larger samples use
+// the normal approximation (the same z values StatisticalAnalyzer uses).
+const T_TABLE = {
+  0.9: [6.314, 2.920, 2.353, 2.132, 2.015, 1.943, 1.895, 1.860, 1.833, 1.812,
+    1.796, 1.782, 1.771, 1.761, 1.753, 1.746, 1.740, 1.734, 1.729, 1.725,
+    1.721, 1.717, 1.714, 1.711, 1.708, 1.706, 1.703, 1.701, 1.699, 1.697],
+  0.95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042],
+  0.99: [63.657, 9.925, 5.841, 4.604, 4.032, 3.707, 3.499, 3.355, 3.250, 3.169,
+    3.106, 3.055, 3.012, 2.977, 2.947, 2.921, 2.898, 2.878, 2.861, 2.845,
+    2.831, 2.819, 2.807, 2.797, 2.787, 2.779, 2.771, 2.763, 2.756, 2.750]
+};
+const Z_VALUES = { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+function tCritical(df, confidence = 0.95) {
+  if (!T_TABLE[confidence]) {
+    throw new Error(`Unsupported confidence level ${confidence} (use ${Object.keys(T_TABLE).join(', ')})`);
+  }
+  return df <= 30 ? T_TABLE[confidence][Math.max(1, df) - 1] : Z_VALUES[confidence];
+}
+
+/**
+ * Confidence interval for the mean of a sample, using Student's t.
+ */
+function confidenceInterval(values, confidence = 0.95) {
+  const avg = mean(values);
+  const halfWidth = values.length < 2
+    ? Infinity
+    : tCritical(values.length - 1, confidence) * stddev(values) / Math.sqrt(values.length);
+
+  return {
+    confidence,
+    mean: avg,
+    halfWidth,
+    lower: avg - halfWidth,
+    upper: avg + halfWidth
+  };
+}
+
+/**
+ * Summary of a list of per-round measurements (e.g. overhead percentages).
+ */
+function summarize(values) {
+  return {
+    count: values.length,
+    mean: mean(values),
+    median: median(values),
+    stddev: stddev(values),
+    min: values.length > 0 ? Math.min(...values) : 0,
+    max: values.length > 0 ? Math.max(...values) : 0
+  };
+}
+
+export { mean, median, stddev, coefficientOfVariation, percentile, summarize, tCritical, confidenceInterval };
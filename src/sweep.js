@@ -0,0 +1,75 @@
+import { fitCostModel } from './regression.js';
+
+/**
+ * Parameter sweeps
+ *
+ * A sweep is a family of baseline-vs-ALS scenarios that differ in one
+ * parameter. Each member declares which sweep it belongs to:
+ *
+ *   sweep: {
+ *     name: 'contextSize',        // sweep id, shared by all members
+ *     x: 'size',                  // param that varies along the sweep
+ *     group: 'shape',             // optional param that splits it into curves
+ *     unit: 'properties',         // optional, for printing
+ *     models: ['linear', 'log']   // optional, cost models to try
+ *   }
+ *
+ * runScenario() copies the declaration onto the result entry, and
+ * analyzeSweeps() collects the entries of each sweep (and group), takes the
+ * median per-op ALS overhead at every x and fits a cost model to it
+ * (regression.js).
+ */
+
+/**
+ * Per-op ALS overhead of a result entry in nanoseconds. Uses the median
+ * per-op latency when the scenario records latency, since a few scheduler
+ * stalls can move the mean of a small sweep point by more than the effect
+ * being fitted, otherwise the difference in mean time per iteration.
+ */
+function overheadPerOpNs(benchmark) {
+  const { withoutALS, withALS, config } = benchmark;
+  if (withALS.latency && withoutALS.latency) {
+    return withALS.latency.p50 - withoutALS.latency.p50;
+  }
+  return ((withALS.duration - withoutALS.duration) * 1e6) / config.iterations;
+}
+
+/**
+ * Groups the sweep members among `benchmarks` and fits each curve.
+ *
+ * @returns {Array<Object>} - One entry per sweep and group value: { name, x,
+ *   unit, group, groupValue, points: [{ x, overheadPerOpNs, timePercent, test }], fit }
+ */
+function analyzeSweeps(benchmarks) {
+  const curves = new Map();
+
+  for (const benchmark of benchmarks) {
+    if (!benchmark.sweep || !benchmark.overhead) {
+      continue;
+    }
+
+    const { name, x, group = null, unit = x, models } = benchmark.sweep;
+    const groupValue = group ? benchmark.config[group] : null;
+    const key = `${name}|${groupValue}`;
+
+    const curve = curves.get(key) || { name, x, unit, group, groupValue, models, points: [] };
+    curve.points.push({
+      x: benchmark.config[x],
+      overheadPerOpNs: overheadPerOpNs(benchmark),
+      timePercent: benchmark.overhead.timePercent,
+      test: benchmark.config.test
+    });
+    curves.set(key, curve);
+  }
+
+  return [...curves.values()].map(({ models, ...curve }) => {
+    const points = curve.points.sort((a, b) => a.x - b.x);
+    return {
+      ...curve,
+      points,
+      fit: fitCostModel(points.map(point => ({ x: point.x, y: point.overheadPerOpNs })), models && { models })
+    };
+  });
+}
+
+export { analyzeSweeps, overheadPerOpNs };
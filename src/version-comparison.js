@@ -2,6 +2,17 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { describeEnvironment, environmentKey } from './environment.js';
+import dataSizeScenarios from './scenarios/data-size.js';
+
+// Only the original data size matrix feeds the per-version overhead figures, so
+// they stay comparable with historical results. Result files written before
+// scenarios had ids carry no config.test and contain only that matrix.
+const STANDARD_SCENARIOS = new Set(dataSizeScenarios.map(scenario => scenario.id));
+
+function isStandardScenario(benchmark) {
+  return !benchmark.config?.test || STANDARD_SCENARIOS.has(benchmark.config.test);
+}
 
 async function generateVersionComparison() {
   // Try multiple possible locations for the results
@@ -166,6 +177,9 @@ async function generateVersionComparison() {
         // Filter benchmarks to only include standard overhead benchmarks
         // Handle both old format (overhead.timePercent) and new format (overheadPercent)
         const standardBenchmarks = benchmarkData.benchmarks?.filter(b => {
+          if (!isStandardScenario(b)) {
+            return false;
+          }
           if (b.overhead && typeof b.overhead.timePercent === 'number') {
             return true; // Old format
           }
@@ -218,7 +232,7 @@ async function generateVersionComparison() {
           }
           if (bd.benchmarks && Array.isArray(bd.benchmarks)) {
             console.log(`Found benchmarks with ${bd.benchmarks.length} items`);
-            return bd.benchmarks;
+            return bd.benchmarks.filter(isStandardScenario);
           }
           console.log(`No recognizable benchmark structure in:`, Object.keys(bd));
           return [];
@@ -291,6 +305,11 @@ async function generateVersionComparison() {
       const avgBaselineTime = allBaselineTimes.length > 0 ? allBaselineTimes.reduce((sum, time) => sum + time, 0) / allBaselineTimes.length : 0;
       const avgBaselineMemory = allBaselineMemories.length > 0 ? allBaselineMemories.reduce((sum, mem) => sum + mem, 0) / allBaselineMemories.length : 0;
       
+      // Distinct machines this version's iterations were measured on
+      const environments = [...new Map(
+        allBenchmarkData.map(data => [environmentKey(data.environment), describeEnvironment(data.environment)])
+      ).values()];
+      
       const versionInfo = {
         version: nodeVersion,
         cleanVersion: nodeVersion.replace('v', ''),
@@ -312,6 +331,8 @@ async function generateVersionComparison() {
         baselineMemory: parseFloat(avgBaselineMemory.toFixed(2)),
         benchmarkCount: allStandardBenchmarks.length,
         testDate: allBenchmarkData[0].timestamp,
+        environment: environments[0],
+        environments,
         benchmarks: allStandardBenchmarks.map(b => {
           // Handle both old and new data formats
           const overhead = b.overhead?.timePercent || b.overheadPercent || 0;
@@ -558,6 +579,16 @@ function generateAnalysis(versions) {
     analysis.insights.push('Performance shows high variability across iterations - consider running more iterations');
   }
   
+  const mixedEnvironmentVersions = versions.filter(v => v.environments?.length > 1);
+  if (mixedEnvironmentVersions.length > 0) {
+    analysis.insights.push(`${mixedEnvironmentVersions.map(v => v.version).join(', ')} combine iterations from different environments - their variability partly reflects the machines`);
+  }
+  
+  const versionEnvironments = new Set(versions.map(v => v.environment));
+  if (versionEnvironments.size > 1) {
+    analysis.insights.push(`Versions were measured on ${versionEnvironments.size} different environments - differences between them are not purely Node.js changes`);
+  }
+  
   const multiIterationVersions = versions.filter(v => v.iterations > 1);
   if (multiIterationVersions.length > 0) {
     const avgIterations = multiIterationVersions.reduce((sum, v) => sum + v.iterations, 0) / multiIterationVersions.length;
@@ -611,6 +642,7 @@ function generateVersionComparisonTable(versions) {
   html += '<th>Memory Overhead (MB)</th>';
   html += '<th>Benchmark Count</th>';
   html += '<th>Test Date</th>';
+  html += '<th>Environment</th>';
   html += '</tr></thead><tbody>';
   
   // Sort versions by version number (newest first)
@@ -637,6 +669,7 @@ function generateVersionComparisonTable(versions) {
     html += `<td>${version.memoryOverheadMB.toFixed(2)}</td>`;
     html += `<td>${version.benchmarkCount}</td>`;
     html += `<td>${new Date(version.testDate).toLocaleDateString()}</td>`;
+    html += `<td>${(version.environments || []).join('<br>') || 'unknown'}</td>`;
     html += '</tr>';
   }
   
@@ -651,6 +684,7 @@ function generateVersionComparisonTable(versions) {
   html += '<li><strong>Memory Overhead:</strong> Additional memory usage when using AsyncLocalStorage</li>';
   html += '<li><strong>Std Dev:</strong> Standard deviation across iterations - lower values indicate more consistent performance</li>';
   html += '<li><strong>CV (%):</strong> Coefficient of Variation - relative standard deviation (lower is better, indicates more consistent performance)</li>';
+  html += '<li><strong>Environment:</strong> CPU, memory, container limits and benchmark commit the version was measured on - compare versions measured on the same environment</li>';
   html += '<li><strong>Color Coding:</strong> Green (≤5%), Orange (5-15%), Red (>15%) for basic overhead; Green (≤25%), Orange (25-50%), Red (>50%) for nested overhead</li>';
   html += '</ul>';
   html += '<p><strong>Note:</strong> Lower percentages indicate better performance. Newer Node.js versions generally show improved AsyncLocalStorage performance. Multiple iterations provide statistical confidence in the results.</p>';
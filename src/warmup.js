@@ -0,0 +1,62 @@
+import { median, coefficientOfVariation } from './stats.js';
+
+/**
+ * Adaptive warmup rules
+ *
+ * AsyncLocalStorageBenchmark.warmUp() runs baseline and ALS batches and, after
+ * every pair, asks these helpers whether the timings have settled and whether
+ * the batches are long enough to time at all.
+ */
+
+/**
+ * Whether one side's batch timings have settled, and by which rule: "plateau"
+ * when the median of the last `window` timings is within `maxCV` of the median
+ * of the window before it, "cv" when the coefficient of variation of the last
+ * window is at most `maxCV`, otherwise null. The plateau rule comes first
+ * because the median shrugs off the odd scheduler stall that keeps the CV high.
+ */
+function settledBy(values, { window, maxCV }) {
+  if (values.length < window) {
+    return null;
+  }
+  if (values.length >= window * 2) {
+    const previous = median(values.slice(-window * 2, -window));
+    if (previous > 0 && Math.abs(median(values.slice(-window)) - previous) / previous <= maxCV) {
+      return 'plateau';
+    }
+  }
+  return coefficientOfVariation(values.slice(-window)) <= maxCV ? 'cv' : null;
+}
+
+/**
+ * The rule that ends the warmup, or null to keep going: "plateau" when both
+ * sides have plateaued, else "cv" when both sides are within `maxCV` by either
+ * rule (a plateau implies the timings are at least that steady).
+ *
+ * @param {Object} timings - { baseline: number[], withALS: number[] } batch durations in ms
+ * @param {Object} options - { window, maxCV }
+ * @returns {string|null}
+ */
+function warmupStopRule(timings, options) {
+  const baseline = settledBy(timings.baseline, options);
+  const withALS = settledBy(timings.withALS, options);
+  if (!baseline || !withALS) {
+    return null;
+  }
+  return baseline === 'plateau' && withALS === 'plateau' ? 'plateau' : 'cv';
+}
+
+/**
+ * Batch size to use after a batch pair whose faster side took `durationMs`.
+ * Batches shorter than `minBatchMs` are mostly timer resolution and scheduler
+ * noise, so they are doubled (up to `maxIterations`, a full measured run)
+ * until they are long enough to converge; otherwise the size is kept.
+ */
+function nextBatchIterations(batchIterations, durationMs, { minBatchMs, maxIterations }) {
+  if (durationMs >= minBatchMs || batchIterations >= maxIterations) {
+    return batchIterations;
+  }
+  return Math.min(maxIterations, batchIterations * 2);
+}
+
+export { settledBy, warmupStopRule, nextBatchIterations };
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAsyncContextFrame, asyncContextFrameFlags, buildComparison } from '../src/async-context-frame.js';
+
+/**
+ * AsyncContextFrame detection and pairing of the on/off runs
+ * (src/async-context-frame.js).
+ */
+
+const paired = (test, timePercent, alsPerOpNs) => ({
+  name: `Scenario ${test}`,
+  config: { test },
+  withoutALS: { duration: 10 },
+  withALS: { duration: 11, ...(alsPerOpNs !== undefined && { perOpNs: alsPerOpNs }) },
+  overhead: { timePercent }
+});
+
+const single = (test, duration) => ({ name: `Scenario ${test}`, config: { test }, result: { duration } });
+
+test('buildComparison pairs scenarios by id and subtracts async_hooks from AsyncContextFrame', () => {
+  const comparison = buildComparison(
+    { benchmarks: [paired('smallData', 4, 900), single('contextSwitching', 80)] },
+    { benchmarks: [single('contextSwitching', 100), paired('smallData', 10, 1200)] }
+  );
+
+  assert.deepEqual(comparison, [
+    {
+      name: 'Scenario smallData',
+      test: 'smallData',
+      metric: 'overheadPercent',
+      asyncContextFrame: 4,
+      asyncHooks: 10,
+      delta: -6,
+      alsPerOpNs: { asyncContextFrame: 900, asyncHooks: 1200 }
+    },
+    {
+      name: 'Scenario contextSwitching',
+      test: 'contextSwitching',
+      metric: 'durationMs',
+      asyncContextFrame: 80,
+      asyncHooks: 100,
+      delta: -20
+    }
+  ]);
+});
+
+test('buildComparison leaves out scenarios that only one run has', () => {
+  const comparison = buildComparison(
+    { benchmarks: [paired('a', 1), paired('onlyWithFrame', 2)] },
+    { benchmarks: [paired('a', 3), paired('onlyWithoutFrame', 4)] }
+  );
+
+  assert.deepEqual(comparison.map(entry => entry.test), ['a']);
+});
+
+test('buildComparison only reports per-op ALS time when both runs have it', () => {
+  const [entry] = buildComparison(
+    { benchmarks: [paired('a', 1, 500)] },
+    { benchmarks: [paired('a', 3)] }
+  );
+
+  assert.equal('alsPerOpNs' in entry, false);
+});
+
+test('detectAsyncContextFrame matches the running AsyncLocalStorage implementation', () => {
+  const detected = detectAsyncContextFrame();
+
+  assert.equal(typeof detected.active, 'boolean');
+  assert.equal(detected.implementation, detected.active ? 'AsyncContextFrame' : 'async_hooks');
+  assert.deepEqual(detected.execArgv, process.execArgv.filter(arg => arg.includes('async-context-frame')));
+});
+
+test('asyncContextFrameFlags only offers flags this Node.js accepts', () => {
+  const flags = asyncContextFrameFlags();
+  if (flags === null) {
+    assert.equal([...process.allowedNodeEnvironmentFlags].some(flag => flag.includes('async-context-frame')), false);
+    return;
+  }
+
+  for (const flag of [...flags.on, ...flags.off]) {
+    assert.ok(process.allowedNodeEnvironmentFlags.has(flag), flag);
+  }
+  assert.ok(flags.on.length + flags.off.length > 0);
+});
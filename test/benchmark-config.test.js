@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  DEFAULT_CONFIG_PATH,
+  loadBenchmarkConfig,
+  parseCliArgs,
+  validateConfig,
+  mergeConfig
+} from '../src/benchmark-config.js';
+
+/**
+ * Config schema validation, preset merging and command line parsing
+ * (src/benchmark-config.js).
+ */
+
+const shippedConfig = () => JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+
+const validationErrors = (config) => {
+  try {
+    validateConfig(config);
+    return [];
+  } catch (error) {
+    return error.message.split('\n').slice(1).map(line => line.replace(/^\s*- /, ''));
+  }
+};
+
+test('validateConfig accepts the shipped config file', () => {
+  const config = shippedConfig();
+  assert.equal(validateConfig(config), config);
+});
+
+test('validateConfig rejects wrong types', () => {
+  assert.deepEqual(validationErrors({ core: { warmupIterations: '10' } }), [
+    'config.core.warmupIterations must be integer (got string)'
+  ]);
+  assert.deepEqual(validationErrors({ core: { warmupIterations: 1.5 } }), [
+    'config.core.warmupIterations must be integer (got number)'
+  ]);
+  assert.deepEqual(validationErrors({ core: { tags: 'core' } }), [
+    'config.core.tags must be array (got string)'
+  ]);
+  assert.deepEqual(validationErrors({ core: { tags: ['core', 1] } }), [
+    'config.core.tags[1] must be string (got integer)'
+  ]);
+});
+
+test('validateConfig accepts integers where numbers are expected and null where allowed', () => {
+  assert.deepEqual(validationErrors({ core: { warmup: { maxCV: 1 }, seed: null } }), []);
+  assert.deepEqual(validationErrors({ distributed: { seed: 7 } }), []);
+});
+
+test('validateConfig rejects values outside an enum', () => {
+  assert.deepEqual(validationErrors({ core: { execution: { mode: 'parallel' } } }), [
+    'config.core.execution.mode must be one of sequential, interleaved, adaptive (got "parallel")'
+  ]);
+  assert.deepEqual(validationErrors({ core: { execution: { target: { confidence: 0.8 } } } }), [
+    'config.core.execution.target.confidence must be one of 0.9, 0.95, 0.99 (got 0.8)'
+  ]);
+  assert.deepEqual(validationErrors({ distributed: { profiles: ['steady', 'spiky'] } }), [
+    'config.distributed.profiles[1] must be one of steady, burst, surge (got "spiky")'
+  ]);
+});
+
+test('validateConfig rejects values below the minimum', () => {
+  assert.deepEqual(validationErrors({ core: { warmup: { window: 1 } } }), [
+    'config.core.warmup.window must be >= 2 (got 1)'
+  ]);
+  assert.deepEqual(validationErrors({ core: { seed: -1 } }), [
+    'config.core.seed must be >= 0 (got -1)'
+  ]);
+});
+
+test('validateConfig rejects unknown keys at every level', () => {
+  assert.deepEqual(validationErrors({ cores: {} }), ['config.cores is not a known setting']);
+  assert.deepEqual(validationErrors({ core: { warmup: { maxCv: 0.1 } } }), [
+    'config.core.warmup.maxCv is not a known setting'
+  ]);
+  assert.deepEqual(validationErrors({ distributed: { workload: { dbCallLatency: { p95: 10 } } } }), [
+    'config.distributed.workload.dbCallLatency.p95 is not a known setting'
+  ]);
+});
+
+test('validateConfig checks scenario params against the param value types', () => {
+  assert.deepEqual(validationErrors({ core: { scenarioParams: { custom: { anything: 'goes', list: [1] } } } }), []);
+  assert.deepEqual(validationErrors({ core: { scenarioParams: { custom: { nested: { a: 1 } } } } }), [
+    'config.core.scenarioParams.custom.nested must be number or string or boolean or array (got object)'
+  ]);
+  assert.deepEqual(validationErrors({ core: { scenarioParams: { custom: 5 } } }), [
+    'config.core.scenarioParams.custom must be object (got integer)'
+  ]);
+});
+
+test('validateConfig reports every problem at once', () => {
+  const errors = validationErrors({ core: { isolation: 'process', rounds: 3 }, extra: true });
+  assert.equal(errors.length, 3);
+});
+
+test('mergeConfig deep-merges objects and replaces arrays and scalars', () => {
+  const base = { core: { tags: ['a', 'b'], warmup: { window: 5, maxCV: 0.1 }, seed: null } };
+  const merged = mergeConfig(base, { core: { tags: ['c'], warmup: { maxCV: 0.2 }, seed: 3 } });
+
+  assert.deepEqual(merged, { core: { tags: ['c'], warmup: { window: 5, maxCV: 0.2 }, seed: 3 } });
+  assert.deepEqual(base.core.warmup, { window: 5, maxCV: 0.1 }, 'base is not mutated');
+});
+
+test('mergeConfig adds keys missing from the base and lets non-objects win', () => {
+  assert.deepEqual(mergeConfig({ a: 1 }, { b: { c: 2 } }), { a: 1, b: { c: 2 } });
+  assert.equal(mergeConfig({ a: 1 }, null), null);
+  assert.deepEqual(mergeConfig(['x'], { a: 1 }), { a: 1 });
+});
+
+test('parseCliArgs reads --config, --preset and --set', () => {
+  const options = parseCliArgs([
+    '--config', 'my.json',
+    '--preset', 'quick',
+    '--set', 'core.seed=12',
+    '--set', 'core.tags=["a","b"]',
+    '--set', 'core.isolation=scenario',
+    '--set', 'core.label=a=b'
+  ]);
+
+  assert.equal(options.configPath, 'my.json');
+  assert.equal(options.preset, 'quick');
+  assert.deepEqual(options.overrides, [
+    { key: 'core.seed', value: 12 },
+    { key: 'core.tags', value: ['a', 'b'] },
+    { key: 'core.isolation', value: 'scenario' },
+    { key: 'core.label', value: 'a=b' }
+  ]);
+});
+
+test('parseCliArgs maps aliases onto presets and settings', () => {
+  const options = parseCliArgs(['--quick', '--tag', 'http,,als-api', '--isolate', '--seed', '5'], {
+    '--quick': { preset: 'quick' },
+    '--tag': { key: 'core.tags', list: true },
+    '--isolate': { key: 'core.isolation', value: 'scenario' },
+    '--seed': { key: 'core.seed' }
+  });
+
+  assert.equal(options.preset, 'quick');
+  assert.deepEqual(options.overrides, [
+    { key: 'core.tags', value: ['http', 'als-api'] },
+    { key: 'core.isolation', value: 'scenario' },
+    { key: 'core.seed', value: 5 }
+  ]);
+});
+
+test('parseCliArgs rejects unknown options, missing values and malformed --set', () => {
+  assert.throws(() => parseCliArgs(['--preset=quick']), /Unknown option "--preset=quick"/);
+  assert.throws(() => parseCliArgs(['--tags', 'x'], { '--tag': { key: 'core.tags', list: true } }), /Unknown option "--tags"/);
+  assert.throws(() => parseCliArgs(['smallData']), /Unknown option "smallData"/);
+  assert.throws(() => parseCliArgs(['--preset']), /--preset requires a value/);
+  assert.throws(() => parseCliArgs(['--set', 'core.seed']), /Invalid --set "core.seed"/);
+  assert.throws(() => parseCliArgs(['--set', '=5']), /Invalid --set "=5"/);
+});
+
+test('loadBenchmarkConfig applies a preset and then the overrides', async () => {
+  const config = await loadBenchmarkConfig({
+    preset: 'quick',
+    overrides: [{ key: 'core.scenarioParams.smallData.iterations', value: 42 }]
+  });
+  const shipped = shippedConfig();
+
+  assert.equal(config.preset, 'quick');
+  assert.equal(config.core.warmup.maxBatches, shipped.presets.quick.core.warmup.maxBatches);
+  assert.equal(config.core.warmup.window, shipped.core.warmup.window);
+  assert.deepEqual(config.core.scenarioParams.smallData, { iterations: 42 });
+  assert.equal(config.core.scenarioParams.largeData.iterations, shipped.presets.quick.core.scenarioParams.largeData.iterations);
+  assert.deepEqual(config.overrides, ['core.scenarioParams.smallData.iterations=42']);
+  assert.equal(config.presets, undefined);
+});
+
+test('loadBenchmarkConfig validates the result of the overrides', async () => {
+  await assert.rejects(
+    loadBenchmarkConfig({ overrides: [{ key: 'core.execution.rounds', value: 'many' }] }),
+    /config\.core\.execution\.rounds must be integer \(got string\)/
+  );
+  await assert.rejects(
+    loadBenchmarkConfig({ overrides: [{ key: 'core.sed', value: 1 }] }),
+    /config\.core\.sed is not a known setting/
+  );
+  await assert.rejects(loadBenchmarkConfig({ preset: 'tiny' }), /Unknown preset "tiny"/);
+});
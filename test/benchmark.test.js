@@ -0,0 +1,312 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncLocalStorageBenchmark } from '../src/benchmark.js';
+import { createRandom } from '../src/random.js';
+import { consume } from '../src/sink.js';
+import { ScenarioRegistry } from '../src/scenario-registry.js';
+
+/**
+ * Run-ordering decisions of the benchmark runner (src/benchmark.js), driven
+ * by scenarios whose timings are scripted instead of measured.
+ */
+
+/**
+ * A paired scenario whose baseline and ALS sides report the durations that
+ * `baseline(index, params)` and `withALS(index, params)` return for their
+ * `index`-th call. Every call is recorded in `calls`.
+ */
+const scripted = ({ baseline, withALS, params = { iterations: 100 } }) => {
+  const calls = [];
+  const side = (name, duration) => async (bench, runParams) => {
+    const index = calls.filter(call => call.side === name).length;
+    calls.push({ side: name, iterations: runParams.iterations });
+    return {
+      duration: duration(index, runParams),
+      memoryDelta: { rss: 0, heapUsed: 0, heapTotal: 0, external: 0 },
+      results: runParams.iterations
+    };
+  };
+
+  return {
+    id: 'scripted',
+    name: 'Scripted',
+    tags: [],
+    params,
+    baseline: side('baseline', baseline),
+    withALS: side('withALS', withALS),
+    calls
+  };
+};
+
+const createBenchmark = (t, options) => {
+  t.mock.method(console, 'log', () => {});
+  const bench = new AsyncLocalStorageBenchmark({ seed: 1, ...options });
+  t.after(() => bench.gcMonitor.stop());
+  return bench;
+};
+
+test('interleaved rounds split the iterations and pair each round', async (t) => {
+  const bench = createBenchmark(t, { execution: { mode: 'interleaved', rounds: 4, order: 'abab' } });
+  const scenario = scripted({ baseline: () => 10, withALS: () => 12, params: { iterations: 10 } });
+
+  const { withoutALS, withALS, rounds } = await bench.runInterleaved(scenario, scenario.params);
+
+  assert.deepEqual(scenario.calls.map(call => call.side), ['baseline', 'withALS', 'baseline', 'withALS', 'baseline', 'withALS', 'baseline', 'withALS']);
+  assert.ok(scenario.calls.every(call => call.iterations === 3), 'ceil(10 / 4) iterations per block');
+  assert.deepEqual(rounds.map(round => round.round), [1, 2, 3, 4]);
+  assert.ok(rounds.every(round => round.timePercent === 20));
+  assert.ok(rounds.every(round => round.order.join() === 'baseline,withALS'));
+
+  assert.equal(withoutALS.duration, 40);
+  assert.equal(withALS.duration, 48);
+  assert.equal(withALS.results, 12);
+  assert.ok(withALS.gc && withALS.eventLoop, 'combined from the per-round phases');
+});
+
+test('random order replays from the seed and keeps each side paired', async (t) => {
+  const orders = [];
+  for (let replay = 0; replay < 2; replay++) {
+    const bench = createBenchmark(t, { execution: { mode: 'interleaved', rounds: 12, order: 'random' } });
+    bench.blockOrderRandom = createRandom(7);
+    const scenario = scripted({ baseline: () => 10, withALS: () => 15, params: { iterations: 12 } });
+
+    const { rounds } = await bench.runInterleaved(scenario, scenario.params);
+
+    assert.ok(rounds.every(round => round.timePercent === 50), 'overhead does not depend on which block ran first');
+    orders.push(rounds.map(round => round.order[0]));
+  }
+
+  assert.deepEqual(orders[0], orders[1]);
+  assert.ok(orders[0].includes('baseline') && orders[0].includes('withALS'), 'both block orders occur');
+});
+
+test('round parameters leave scenarios without iterations alone', (t) => {
+  const bench = createBenchmark(t, { execution: { rounds: 10 } });
+
+  assert.deepEqual(bench.roundParams({ iterations: 95, size: 3 }), { iterations: 10, size: 3 });
+  assert.deepEqual(bench.roundParams({ iterations: 3 }), { iterations: 1 });
+  assert.deepEqual(bench.roundParams({ requests: 50 }), { requests: 50 });
+});
+
+test('adaptive rounds stop at the target once the interval is narrow enough', async (t) => {
+  const target = { ciHalfWidth: 1, minRounds: 3, maxRounds: 20 };
+  const bench = createBenchmark(t, { execution: { mode: 'adaptive', rounds: 5, target } });
+  const scenario = scripted({ baseline: () => 10, withALS: () => 11, params: { iterations: 50 } });
+
+  const { rounds, precision } = await bench.runAdaptive(scenario, scenario.params);
+
+  assert.equal(rounds.length, 3, 'never stops before minRounds');
+  assert.equal(precision.stopReason, 'target');
+  assert.equal(precision.targetMet, true);
+  assert.equal(precision.targetHalfWidth, 1);
+  assert.equal(precision.halfWidth, 0);
+  assert.equal(precision.mean, 10);
+  assert.equal(precision.rounds, 3);
+  assert.equal(precision.iterations, 30);
+});
+
+test('adaptive rounds stop at the round cap or the budget while the interval stays wide', async (t) => {
+  // ALS alternates between 0% and 100% overhead, far wider than ±1%
+  const noisy = () => scripted({ baseline: () => 10, withALS: (index) => (index % 2 === 0 ? 10 : 20) });
+
+  const capped = createBenchmark(t, { execution: { mode: 'adaptive', target: { minRounds: 2, maxRounds: 6 } } });
+  const { rounds, precision } = await capped.runAdaptive(noisy(), { iterations: 100 });
+  assert.equal(rounds.length, 6);
+  assert.equal(precision.stopReason, 'maxRounds');
+  assert.equal(precision.targetMet, false);
+  assert.ok(precision.halfWidth > 1);
+
+  const budgeted = createBenchmark(t, { execution: { mode: 'adaptive', target: { minRounds: 4, maxRounds: 50, budgetMs: 0 } } });
+  const spent = await budgeted.runAdaptive(noisy(), { iterations: 100 });
+  assert.equal(spent.rounds.length, 4);
+  assert.equal(spent.precision.stopReason, 'budget');
+  assert.equal(spent.precision.targetMet, false);
+});
+
+test('a single adaptive round reports no interval instead of NaN', async (t) => {
+  const bench = createBenchmark(t, { execution: { mode: 'adaptive', target: { minRounds: 1, maxRounds: 1 } } });
+  const { precision } = await bench.runAdaptive(scripted({ baseline: () => 10, withALS: () => 12 }), { iterations: 10 });
+
+  assert.equal(precision.stopReason, 'maxRounds');
+  assert.equal(precision.halfWidth, null);
+  assert.equal(precision.lower, null);
+  assert.equal(precision.upper, null);
+});
+
+test('fixed warmup runs each side once with warmupIterations', async (t) => {
+  const bench = createBenchmark(t, { warmupIterations: 7, warmup: { mode: 'fixed' } });
+  const scenario = scripted({ baseline: () => 10, withALS: () => 10 });
+
+  assert.deepEqual(await bench.warmUp(scenario, scenario.params), { mode: 'fixed', iterations: 7 });
+  assert.deepEqual(scenario.calls, [{ side: 'baseline', iterations: 7 }, { side: 'withALS', iterations: 7 }]);
+});
+
+test('adaptive warmup stops once both sides settle', async (t) => {
+  const bench = createBenchmark(t, { warmup: { window: 3, maxCV: 0.1, maxBatches: 20, minBatchMs: 1 } });
+  // tier-up: the ALS side is still getting faster for the first few batches
+  const scenario = scripted({ baseline: () => 20, withALS: (index) => Math.max(25, 100 - 20 * index) });
+
+  const warmup = await bench.warmUp(scenario, { iterations: 1000 });
+
+  assert.equal(warmup.converged, true);
+  assert.equal(warmup.rule, 'cv');
+  assert.deepEqual(warmup.timings.withALS, [100, 80, 60, 40, 25, 25, 25]);
+  assert.equal(warmup.batches, 7);
+  assert.equal(warmup.batchIterations, 50, '5% of the iterations');
+  assert.equal(warmup.iterations, 350);
+  assert.deepEqual(warmup.cv, { baseline: 0, withALS: 0 });
+});
+
+test('adaptive warmup that never settles hits the cap and is marked unconverged', async (t) => {
+  const bench = createBenchmark(t, { warmup: { window: 3, maxCV: 0.1, maxBatches: 8, minBatchMs: 1 } });
+  const falling = (index) => 1000 * 0.7 ** index;
+  const scenario = scripted({ baseline: falling, withALS: falling });
+
+  const warmup = await bench.warmUp(scenario, { iterations: 1000 });
+
+  assert.equal(warmup.converged, false);
+  assert.equal(warmup.rule, 'cap');
+  assert.equal(warmup.batches, 8);
+  assert.equal(warmup.maxBatches, 8);
+  assert.ok(warmup.cv.baseline > 0.1);
+});
+
+test('adaptive warmup grows batches that are too short to time and restarts the timings', async (t) => {
+  const bench = createBenchmark(t, { warmup: { window: 3, maxCV: 0.1, maxBatches: 20, minBatchMs: 10 } });
+  // 0.01ms per iteration: the 5% batch of 500 iterations takes 5ms
+  const perIteration = (index, params) => params.iterations * 0.01;
+  const scenario = scripted({ baseline: perIteration, withALS: perIteration, params: { iterations: 10000 } });
+
+  const warmup = await bench.warmUp(scenario, scenario.params);
+
+  assert.equal(warmup.batchIterations, 1000);
+  assert.equal(warmup.batches, 3, 'the short batch is not counted towards the window');
+  assert.deepEqual(warmup.timings.baseline, [10, 10, 10]);
+  assert.equal(warmup.iterations, 500 + 3 * 1000);
+  assert.equal(warmup.converged, true);
+});
+
+test('warmup batch growth stops at the full iteration count', async (t) => {
+  const bench = createBenchmark(t, { warmup: { window: 3, maxCV: 0.1, maxBatches: 5, minBatchMs: 10 } });
+  const scenario = scripted({ baseline: () => 1, withALS: () => 1, params: { iterations: 400 } });
+
+  const warmup = await bench.warmUp(scenario, scenario.params);
+
+  assert.equal(warmup.batchIterations, 400);
+  assert.equal(warmup.converged, true);
+  assert.ok(scenario.calls.every(call => call.iterations <= 400));
+});
+
+test('the sequential noise floor is the largest A/A difference', async (t) => {
+  const bench = createBenchmark(t, { noiseFloor: { enabled: true, repetitions: 3 } });
+  const durations = [100, 110, 100, 95, 100, 104];
+  const scenario = scripted({ baseline: (index) => durations[index], withALS: () => 100 });
+
+  const noiseFloor = await bench.measureNoiseFloor(scenario, scenario.params);
+
+  assert.equal(noiseFloor.method, 'maxAbs');
+  assert.deepEqual(noiseFloor.samples, [10, -5, 4]);
+  assert.equal(noiseFloor.aaPercent, 4);
+  assert.equal(noiseFloor.floorPercent, 10);
+  assert.ok(scenario.calls.every(call => call.side === 'baseline'), 'A/A never runs the ALS side');
+});
+
+test('the interleaved noise floor is the A/A estimate plus its interval', async (t) => {
+  const bench = createBenchmark(t, { execution: { mode: 'interleaved', rounds: 3 } });
+  // the second block of every A/A round is 10% slower than the first
+  const scenario = scripted({ baseline: (index) => (index % 2 === 0 ? 10 : 11), withALS: () => 10 });
+
+  const noiseFloor = await bench.measureNoiseFloor(scenario, scenario.params);
+
+  assert.equal(noiseFloor.method, 'ci');
+  assert.equal(noiseFloor.samples.length, 3);
+  assert.equal(noiseFloor.halfWidth, 0);
+  assert.equal(noiseFloor.floorPercent, Math.abs(noiseFloor.aaPercent));
+  assert.ok(Math.abs(noiseFloor.aaPercent - 10) < 1e-9);
+});
+
+test('an overhead within the noise floor is not significant', async (t) => {
+  const options = { warmup: { mode: 'fixed' }, noiseFloor: { enabled: true, repetitions: 2 } };
+  // call 0 is the warmup, call 1 the measured baseline, the rest A/A pairs
+  const baseline = (aaDurations) => (index) => [100, 100, ...aaDurations][index];
+
+  const quiet = await createBenchmark(t, options)
+    .runScenario(scripted({ baseline: baseline([100, 100, 100, 100]), withALS: () => 103 }));
+  assert.equal(quiet.noiseFloor.floorPercent, 0);
+  assert.equal(quiet.overhead.significant, true);
+
+  const noisy = await createBenchmark(t, options)
+    .runScenario(scripted({ baseline: baseline([100, 110, 100, 100]), withALS: () => 103 }));
+  assert.equal(noisy.noiseFloor.floorPercent, 10);
+  assert.equal(noisy.overhead.significant, false);
+  assert.equal(noisy.overhead.timePercent, 3);
+});
+
+test('the noise floor is only measured when enabled or declared by the scenario', async (t) => {
+  const options = { warmup: { mode: 'fixed' }, noiseFloor: { enabled: false, repetitions: 1 } };
+  const flat = () => scripted({ baseline: () => 100, withALS: () => 101 });
+
+  const off = await createBenchmark(t, options).runScenario(flat());
+  assert.equal(off.noiseFloor, undefined);
+  assert.equal('significant' in off.overhead, false);
+
+  const declared = await createBenchmark(t, options).runScenario({ ...flat(), noiseFloor: true });
+  assert.equal(declared.noiseFloor.samples.length, 1);
+  assert.equal(declared.overhead.significant, true);
+});
+
+test('the self-check flags phases whose time does not grow with the iterations', async (t) => {
+  const run = (duration, sink = true) => async (bench, params) => {
+    if (sink) {
+      consume(params.iterations);
+    }
+    return { duration: duration(params.iterations), memoryDelta: { rss: 0, heapUsed: 0, heapTotal: 0, external: 0 } };
+  };
+  const linear = (iterations) => iterations * 0.01;
+  const check = (id, extra) => ({ id, name: id, tags: ['self-check-test'], params: { iterations: 1000 }, ...extra });
+
+  const registry = new ScenarioRegistry().registerAll([
+    check('scales', { baseline: run(linear), withALS: run(linear) }),
+    check('eliminated', { withALS: run(() => 5) }),
+    check('unsunk', { withALS: run(linear, false) }),
+    check('io-bound', { withALS: run(linear), selfCheck: false }),
+    check('unsized', { withALS: run(linear), params: { requests: 10 } })
+  ]);
+  const bench = createBenchmark(t, { registry, tags: ['self-check-test'], selfCheck: { multipliers: [1, 2, 4], repetitions: 1 } });
+
+  const report = await bench.runSelfCheck();
+  const byId = Object.fromEntries(report.scenarios.map(entry => [entry.scenario, entry]));
+
+  assert.deepEqual(Object.keys(byId.scales.phases), ['baseline', 'withALS']);
+  for (const phase of Object.values(byId.scales.phases)) {
+    assert.ok(Math.abs(phase.exponent - 1) < 1e-9);
+    assert.equal(phase.linear, true);
+    assert.deepEqual(phase.points.map(point => point.iterations), [1000, 2000, 4000]);
+  }
+
+  assert.deepEqual(Object.keys(byId.eliminated.phases), ['withALS']);
+  assert.equal(byId.eliminated.phases.withALS.exponent, 0);
+  assert.deepEqual(byId.eliminated.phases.withALS.issues, ['time does not scale with iterations (work may be eliminated)']);
+
+  assert.equal(byId.unsunk.phases.withALS.linear, false);
+  assert.deepEqual(byId.unsunk.phases.withALS.issues, ['no values routed through the result sink']);
+
+  assert.equal(byId['io-bound'].skipped, 'opted out (I/O-bound)');
+  assert.equal(byId.unsized.skipped, 'no iterations parameter');
+});
+
+test('the self-check exponent threshold is configurable', async (t) => {
+  // time grows with the square root of the iterations: exponent 0.5
+  const sublinear = async (bench, params) => ({ duration: consume(Math.sqrt(params.iterations)) });
+  const scenario = { id: 'sublinear', name: 'Sublinear', tags: [], params: { iterations: 100 }, withALS: sublinear };
+  const runCheck = async (minExponent) => {
+    const registry = new ScenarioRegistry().register(scenario);
+    const bench = createBenchmark(t, { registry, scenarios: ['sublinear'], selfCheck: { repetitions: 1, minExponent } });
+    return (await bench.runSelfCheck()).scenarios[0].phases.withALS;
+  };
+
+  const strict = await runCheck(0.8);
+  assert.ok(Math.abs(strict.exponent - 0.5) < 1e-9);
+  assert.equal(strict.linear, false);
+  assert.equal((await runCheck(0.4)).linear, true);
+});
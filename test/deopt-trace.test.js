@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTraceLine } from '../src/deopt-trace.js';
+
+/**
+ * Parsing of V8 --trace-opt/--trace-deopt output (src/deopt-trace.js).
+ */
+
+test('completed optimizations are parsed', () => {
+  assert.deepEqual(
+    parseTraceLine('[completed optimizing 0x1 <JSFunction run <node:async_hooks> (sfi = 0x2)> (target TURBOFAN) - took 0.1, 0.2, 0.3 ms]'),
+    { type: 'optimized', functionName: 'run', url: 'node:async_hooks' }
+  );
+});
+
+test('bailouts are parsed with their kind and reason', () => {
+  assert.deepEqual(
+    parseTraceLine('[bailout (kind: deopt-eager, reason: wrong map): begin. deoptimizing 0x1 ' +
+      '<JSFunction heavyComputation <file:///repo/src/benchmark.js> (sfi = 0x2)>, opt id 3, bytecode offset 4]'),
+    {
+      type: 'deopt',
+      functionName: 'heavyComputation',
+      url: 'file:///repo/src/benchmark.js',
+      kind: 'deopt-eager',
+      reason: 'wrong map'
+    }
+  );
+});
+
+test('functions without a name or script are still counted', () => {
+  assert.deepEqual(
+    parseTraceLine('[completed optimizing 0x1 <JSFunction  (sfi = 0x2)> (target TURBOFAN)]'),
+    { type: 'optimized', functionName: '(anonymous)', url: '' }
+  );
+});
+
+test('other trace lines are ignored', () => {
+  assert.equal(parseTraceLine('[marking 0x1 <JSFunction run <node:async_hooks> (sfi = 0x2)> for optimization to TURBOFAN, reason: hot and stable]'), null);
+  assert.equal(parseTraceLine('[compiling method 0x1 <JSFunction run <node:async_hooks> (sfi = 0x2)> (target TURBOFAN)]'), null);
+});
+
+test('malformed and unrelated lines return null instead of throwing', () => {
+  for (const line of [
+    '',
+    'Testing: Small Data',
+    '[',
+    '[bailout (kind: deopt-eager, reason: wrong map): begin. deoptimizing 0x1 <JSFunction fn',
+    '[bailout (kind: deopt-soft reason: missing comma): begin. deoptimizing 0x1 <JSFunction fn <file:///a.js> (sfi = 0x2)>]',
+    '[completed optimizing 0x1 (target TURBOFAN)]',
+    '  [completed optimizing 0x1 <JSFunction run <node:async_hooks> (sfi = 0x2)>]'
+  ]) {
+    assert.equal(parseTraceLine(line), null, JSON.stringify(line));
+  }
+});
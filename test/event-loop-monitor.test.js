@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventLoopMonitor } from '../src/event-loop-monitor.js';
+
+/**
+ * Event loop delay summaries and how interleaved rounds are combined
+ * (src/event-loop-monitor.js).
+ */
+
+const close = (actual, expected, epsilon = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+};
+
+const phase = ({ count, min, mean, stddev, p50, p90, p99, max, idle, active }) => ({
+  delay: { unit: 'ms', count, min, mean, stddev, p50, p90, p99, max },
+  utilization: { utilization: active / (idle + active), idle, active }
+});
+
+// A stand-in for a RecordableHistogram, values in nanoseconds
+const histogram = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return {
+    count: values.length,
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0,
+    mean: values.length > 0 ? mean : NaN,
+    stddev: values.length > 0 ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length) : NaN,
+    percentile: (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] ?? 0
+  };
+};
+
+test('summarizeDelay converts to milliseconds and subtracts the timer resolution', () => {
+  const summary = EventLoopMonitor.summarizeDelay(histogram([10e6, 11e6, 12e6, 30e6]), 10);
+
+  assert.equal(summary.unit, 'ms');
+  assert.equal(summary.count, 4);
+  assert.equal(summary.min, 0);
+  assert.equal(summary.p50, 1);
+  assert.equal(summary.max, 20);
+  close(summary.mean, 5.75);
+});
+
+test('summarizeDelay never reports negative lag', () => {
+  const summary = EventLoopMonitor.summarizeDelay(histogram([9e6, 9.5e6]), 10);
+  assert.equal(summary.min, 0);
+  assert.equal(summary.max, 0);
+});
+
+test('summarizeDelay reports null when the timer never fired', () => {
+  const summary = EventLoopMonitor.summarizeDelay(histogram([]), 10);
+
+  assert.equal(summary.count, 0);
+  for (const key of ['min', 'mean', 'stddev', 'p50', 'p90', 'p99', 'max']) {
+    assert.equal(summary[key], null, key);
+  }
+});
+
+test('combine pools count, mean and stddev and takes the worst percentiles', () => {
+  const combined = EventLoopMonitor.combine([
+    phase({ count: 2, min: 1, mean: 2, stddev: 1, p50: 2, p90: 3, p99: 3, max: 3, idle: 10, active: 30 }),
+    phase({ count: 6, min: 0.5, mean: 6, stddev: 2, p50: 5, p90: 8, p99: 9, max: 10, idle: 50, active: 10 })
+  ]);
+
+  assert.equal(combined.delay.count, 8);
+  assert.equal(combined.delay.min, 0.5);
+  close(combined.delay.mean, (2 * 2 + 6 * 6) / 8);
+  // pooled variance: within-phase variance plus the spread of the phase means
+  close(combined.delay.stddev, Math.sqrt((2 * (1 + 9) + 6 * (4 + 1)) / 8));
+  assert.deepEqual(
+    [combined.delay.p50, combined.delay.p90, combined.delay.p99, combined.delay.max],
+    [5, 8, 9, 10]
+  );
+});
+
+test('combine recomputes utilization from the summed idle and active time', () => {
+  const combined = EventLoopMonitor.combine([
+    phase({ count: 1, min: 0, mean: 0, stddev: 0, p50: 0, p90: 0, p99: 0, max: 0, idle: 10, active: 30 }),
+    phase({ count: 1, min: 0, mean: 0, stddev: 0, p50: 0, p90: 0, p99: 0, max: 0, idle: 50, active: 10 })
+  ]);
+
+  assert.deepEqual(combined.utilization, { utilization: 0.4, idle: 60, active: 40 });
+});
+
+test('combine skips phases in which the timer never fired', () => {
+  const silent = phase({ count: 0, min: null, mean: null, stddev: null, p50: null, p90: null, p99: null, max: null, idle: 0, active: 5 });
+  const combined = EventLoopMonitor.combine([
+    silent,
+    phase({ count: 4, min: 1, mean: 2, stddev: 0, p50: 2, p90: 2, p99: 2, max: 3, idle: 5, active: 0 })
+  ]);
+
+  assert.equal(combined.delay.count, 4);
+  assert.equal(combined.delay.min, 1);
+  assert.equal(combined.delay.mean, 2);
+  assert.equal(combined.delay.max, 3);
+  assert.equal(combined.utilization.utilization, 0.5);
+
+  const none = EventLoopMonitor.combine([silent]);
+  assert.equal(none.delay.count, 0);
+  assert.equal(none.delay.mean, null);
+  assert.equal(none.delay.stddev, null);
+  assert.equal(none.delay.p99, null);
+});
+
+test('combining no phases gives zero utilization and no delay', () => {
+  const combined = EventLoopMonitor.combine([]);
+  assert.equal(combined.utilization.utilization, 0);
+  assert.equal(combined.delay.min, null);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { constants } from 'perf_hooks';
+import { GCMonitor } from '../src/gc-monitor.js';
+
+/**
+ * Per-phase GC summaries and how interleaved rounds are combined
+ * (src/gc-monitor.js).
+ */
+
+test('summarize counts pauses by kind', () => {
+  const summary = GCMonitor.summarize([
+    { startTime: 1, duration: 0.5, kind: 'minor' },
+    { startTime: 2, duration: 3, kind: 'major' },
+    { startTime: 3, duration: 0.25, kind: 'minor' },
+    { startTime: 4, duration: 1, kind: 'incremental' }
+  ]);
+
+  assert.deepEqual(summary, {
+    count: 4,
+    totalPauseMs: 4.75,
+    longestPauseMs: 3,
+    major: 1,
+    minor: 2,
+    byKind: {
+      minor: { count: 2, pauseMs: 0.75 },
+      major: { count: 1, pauseMs: 3 },
+      incremental: { count: 1, pauseMs: 1 }
+    }
+  });
+});
+
+test('a phase without collections summarizes to zeros', () => {
+  assert.deepEqual(GCMonitor.summarize([]), GCMonitor.empty());
+  assert.deepEqual(GCMonitor.combine([]), GCMonitor.empty());
+});
+
+test('combine adds counts and pauses and keeps the longest pause', () => {
+  const first = GCMonitor.summarize([
+    { startTime: 1, duration: 2, kind: 'minor' },
+    { startTime: 2, duration: 5, kind: 'major' }
+  ]);
+  const second = GCMonitor.summarize([
+    { startTime: 10, duration: 1, kind: 'minor' },
+    { startTime: 11, duration: 0.5, kind: 'weakcb' }
+  ]);
+
+  assert.deepEqual(GCMonitor.combine([first, second, GCMonitor.empty()]), {
+    count: 4,
+    totalPauseMs: 8.5,
+    longestPauseMs: 5,
+    major: 1,
+    minor: 2,
+    byKind: {
+      minor: { count: 2, pauseMs: 3 },
+      major: { count: 1, pauseMs: 5 },
+      weakcb: { count: 1, pauseMs: 0.5 }
+    }
+  });
+});
+
+test('combine does not modify the summaries it is given', () => {
+  const summary = GCMonitor.summarize([{ startTime: 1, duration: 2, kind: 'minor' }]);
+  GCMonitor.combine([summary, summary]);
+
+  assert.deepEqual(summary.byKind, { minor: { count: 1, pauseMs: 2 } });
+});
+
+test('record maps performance entry kinds, old and new style', () => {
+  const monitor = new GCMonitor();
+  monitor.record([
+    { startTime: 1, duration: 1, detail: { kind: constants.NODE_PERFORMANCE_GC_MAJOR } },
+    { startTime: 2, duration: 1, kind: constants.NODE_PERFORMANCE_GC_MINOR },
+    { startTime: 3, duration: 1, detail: { kind: 999 } }
+  ]);
+
+  assert.deepEqual(monitor.entries.map(entry => entry.kind), ['major', 'minor', 'other']);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeed, createRandom, deriveSeed } from '../src/random.js';
+
+/**
+ * Seeded generator and stream derivation (src/random.js). A recorded seed is
+ * only useful if it replays the same numbers on every machine and version.
+ */
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('createRandom matches the reference mulberry32 output', () => {
+  assert.deepEqual(draw(createRandom(42), 3), [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+});
+
+test('the same seed replays the same sequence', () => {
+  assert.deepEqual(draw(createRandom(1234567), 100), draw(createRandom(1234567), 100));
+  assert.notDeepEqual(draw(createRandom(1234567), 10), draw(createRandom(1234568), 10));
+});
+
+test('values are in [0, 1)', () => {
+  for (const value of draw(createRandom(7), 10000)) {
+    assert.ok(value >= 0 && value < 1, `${value} is out of range`);
+  }
+});
+
+test('seeds are reduced to 32 bits and kept on the generator', () => {
+  assert.equal(createRandom(2 ** 32 + 5).seed, 5);
+  assert.equal(createRandom(-1).seed, 2 ** 32 - 1);
+  assert.deepEqual(draw(createRandom(2 ** 32 + 5), 5), draw(createRandom(5), 5));
+});
+
+test('deriveSeed is deterministic and separates streams by label and seed', () => {
+  assert.equal(deriveSeed(42, 'smallData'), 4005733630);
+  assert.equal(deriveSeed(42, 'smallData'), deriveSeed(42, 'smallData'));
+  assert.notEqual(deriveSeed(42, 'smallData'), deriveSeed(42, 'smallData:order'));
+  assert.notEqual(deriveSeed(42, 'smallData'), deriveSeed(43, 'smallData'));
+  assert.ok(Number.isInteger(deriveSeed(42, '')) && deriveSeed(42, '') >= 0);
+});
+
+test('createSeed returns an unsigned 32-bit integer', () => {
+  const seed = createSeed();
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linearRegression, fitCostModel } from '../src/regression.js';
+
+/**
+ * Least squares fits and cost model selection for sweeps (src/regression.js).
+ */
+
+const close = (actual, expected, epsilon = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+};
+
+test('linearRegression recovers slope and intercept', () => {
+  const fit = linearRegression([1, 2, 3, 4], [3.1, 4.9, 7.2, 8.8]);
+
+  close(fit.slope, 1.94);
+  close(fit.intercept, 1.15);
+  assert.ok(fit.r2 > 0.99 && fit.r2 < 1);
+  assert.ok(fit.slopeStdError > 0);
+  close(fit.tStatistic, fit.slope / fit.slopeStdError);
+  assert.equal(fit.n, 4);
+});
+
+test('a perfect fit has no residual error and a certain slope', () => {
+  const fit = linearRegression([1, 2, 3], [2, 4, 6]);
+
+  assert.equal(fit.slope, 2);
+  assert.equal(fit.intercept, 0);
+  assert.equal(fit.r2, 1);
+  assert.equal(fit.slopeStdError, 0);
+  assert.equal(fit.tStatistic, Number.MAX_VALUE);
+
+  assert.equal(linearRegression([1, 2, 3], [6, 4, 2]).tStatistic, -Number.MAX_VALUE);
+});
+
+test('constant y gives a zero slope with a zero t statistic', () => {
+  const fit = linearRegression([1, 2, 3], [5, 5, 5]);
+
+  assert.equal(fit.slope, 0);
+  assert.equal(fit.intercept, 5);
+  assert.equal(fit.r2, 0);
+  assert.equal(fit.tStatistic, 0);
+});
+
+test('constant x has no slope to estimate', () => {
+  const fit = linearRegression([2, 2, 2], [1, 2, 3]);
+
+  assert.equal(fit.slope, 0);
+  assert.equal(fit.intercept, 2);
+  assert.equal(fit.r2, 0);
+  assert.equal(fit.slopeStdError, null);
+  assert.equal(fit.tStatistic, null);
+});
+
+test('two points have no degrees of freedom for the slope error', () => {
+  const fit = linearRegression([1, 2], [1, 3]);
+
+  assert.equal(fit.slope, 2);
+  assert.equal(fit.slopeStdError, null);
+  assert.equal(fit.tStatistic, null);
+});
+
+test('fitCostModel needs at least three points', () => {
+  assert.equal(fitCostModel([]), null);
+  assert.equal(fitCostModel([{ x: 1, y: 1 }, { x: 2, y: 2 }]), null);
+});
+
+test('fitCostModel picks the model with the better R²', () => {
+  const xs = [1, 10, 100, 1000, 10000];
+
+  const linear = fitCostModel(xs.map(x => ({ x, y: 50 + 0.02 * x })));
+  assert.equal(linear.model, 'linear');
+  close(linear.slope, 0.02);
+  close(linear.predictedChange, 0.02 * 9999, 1e-6);
+  assert.equal(linear.significant, true);
+  assert.deepEqual(Object.keys(linear.models), ['linear', 'log']);
+
+  const log = fitCostModel(xs.map(x => ({ x, y: 50 + 3 * Math.log(x) })));
+  assert.equal(log.model, 'log');
+  close(log.slope, 3);
+  close(log.predictedChange, 3 * Math.log(10000), 1e-6);
+});
+
+test('fitCostModel does not call a flat, noisy curve significant', () => {
+  const fit = fitCostModel([1, 2, 4, 8, 16, 32].map((x, index) => ({ x, y: 100 + (index % 2 === 0 ? 5 : -5) })), {
+    models: ['linear']
+  });
+
+  assert.equal(fit.model, 'linear');
+  assert.equal(fit.significant, false);
+  assert.equal(fit.confidence, 0.95);
+});
+
+test('fitCostModel skips the log model when x is not positive', () => {
+  const points = [0, 1, 2, 3].map(x => ({ x, y: x }));
+
+  assert.deepEqual(Object.keys(fitCostModel(points).models), ['linear']);
+  assert.equal(fitCostModel(points, { models: ['log'] }), null);
+});
+
+test('fitCostModel treats constant x as not significant', () => {
+  const fit = fitCostModel([{ x: 4, y: 1 }, { x: 4, y: 2 }, { x: 4, y: 3 }], { models: ['linear'] });
+
+  assert.equal(fit.tStatistic, null);
+  assert.equal(fit.significant, false);
+  assert.equal(fit.predictedChange, 0);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ScenarioRegistry, OPT_IN_TAGS } from '../src/scenario-registry.js';
+import { builtinScenarios } from '../src/scenarios/index.js';
+
+/**
+ * Scenario validation, selection and directory loading (src/scenario-registry.js).
+ */
+
+const scenario = (id, extra = {}) => ({ id, name: `Scenario ${id}`, withALS: () => {}, ...extra });
+
+test('register fills in tags and params and rejects duplicate ids', () => {
+  const registry = new ScenarioRegistry().register(scenario('a'));
+
+  assert.deepEqual(registry.get('a').tags, []);
+  assert.deepEqual(registry.get('a').params, {});
+  assert.throws(() => registry.register(scenario('a')), /Scenario "a" is already registered/);
+});
+
+test('validate rejects malformed scenarios with the offending field', () => {
+  const registry = new ScenarioRegistry();
+  const rejects = (value, message) => assert.throws(() => registry.validate(value), message);
+
+  rejects(null, /Scenario must be an object/);
+  rejects({ ...scenario('a'), id: '' }, /Scenario Scenario a: "id" must be a non-empty string/);
+  rejects({ ...scenario('a'), name: 42 }, /Scenario a: "name" must be a non-empty string/);
+  rejects({ ...scenario('a'), withALS: undefined }, /Scenario a: "withALS" must be a function/);
+  rejects(scenario('a', { baseline: 'run' }), /"baseline" must be a function when provided/);
+  rejects(scenario('a', { nestedBaseline: {} }), /"nestedBaseline" must be a function when provided/);
+  rejects(scenario('a', { requires: true }), /"requires" must be a string when provided/);
+  rejects(scenario('a', { tags: 'core' }), /"tags" must be an array of strings/);
+  rejects(scenario('a', { tags: ['core', 1] }), /"tags" must be an array of strings/);
+  rejects(scenario('a', { sweep: { name: 'size' } }), /"sweep" must be an object with string "name" and "x"/);
+  rejects(scenario('a', { sweep: null }), /"sweep" must be an object/);
+  rejects(scenario('a', { selfCheck: 'no' }), /"selfCheck" must be a boolean when provided/);
+  rejects(scenario('a', { isolate: 1 }), /"isolate" must be a boolean when provided/);
+  rejects(scenario('a', { noiseFloor: 'yes' }), /"noiseFloor" must be a boolean when provided/);
+  rejects(scenario('a', { params: [] }), /"params" must be an object/);
+  rejects(scenario('a', { params: null }), /"params" must be an object/);
+});
+
+test('every built-in scenario passes validation', () => {
+  const registry = new ScenarioRegistry().registerAll(builtinScenarios);
+  assert.equal(registry.list({ ids: builtinScenarios.map(s => s.id) }).length, builtinScenarios.length);
+});
+
+test('list filters by id and by tag, in registration order', () => {
+  const registry = new ScenarioRegistry().registerAll([
+    scenario('a', { tags: ['core', 'x'] }),
+    scenario('b', { tags: ['core', 'y'] }),
+    scenario('c', { tags: ['z'] })
+  ]);
+
+  assert.deepEqual(registry.list().map(s => s.id), ['a', 'b', 'c']);
+  assert.deepEqual(registry.list({ ids: ['c', 'a'] }).map(s => s.id), ['a', 'c']);
+  assert.deepEqual(registry.list({ tags: ['y', 'z'] }).map(s => s.id), ['b', 'c']);
+  assert.deepEqual(registry.list({ ids: ['a', 'b'], tags: ['y'] }).map(s => s.id), ['b']);
+  assert.throws(() => registry.list({ ids: ['a', 'nope', 'nah'] }), /Unknown scenario\(s\): nope, nah/);
+});
+
+test('opt-in scenarios only run when selected by id or tag', () => {
+  assert.deepEqual(OPT_IN_TAGS, ['sweep']);
+
+  const registry = new ScenarioRegistry().registerAll([
+    scenario('plain', { tags: ['core'] }),
+    scenario('swept1', { tags: ['sweep', 'size'] }),
+    scenario('swept2', { tags: ['sweep', 'depth'] })
+  ]);
+
+  assert.deepEqual(registry.list().map(s => s.id), ['plain']);
+  assert.deepEqual(registry.list({ tags: ['sweep'] }).map(s => s.id), ['swept1', 'swept2']);
+  assert.deepEqual(registry.list({ tags: ['depth'] }).map(s => s.id), ['swept2']);
+  assert.deepEqual(registry.list({ ids: ['swept1'] }).map(s => s.id), ['swept1']);
+});
+
+test('the built-in sweeps are left out of the default run', () => {
+  const registry = new ScenarioRegistry().registerAll(builtinScenarios);
+  const defaults = registry.list();
+
+  assert.ok(defaults.length > 0);
+  assert.equal(defaults.some(s => s.sweep), false);
+  assert.ok(registry.list({ tags: ['sweep'] }).every(s => s.sweep));
+});
+
+test('isSupported defaults to true', () => {
+  const registry = new ScenarioRegistry();
+
+  assert.equal(registry.isSupported(scenario('a')), true);
+  assert.equal(registry.isSupported(scenario('a', { isSupported: () => false })), false);
+  assert.equal(registry.isSupported(scenario('a', { isSupported: () => 0 })), false);
+});
+
+test('loadDirectory registers single and array exports in file name order', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'als-scenarios-'));
+  try {
+    const source = (ids) => `export default ${ids.length === 1 ? '' : '['}${ids
+      .map(id => `{ id: '${id}', name: '${id}', withALS: () => ({}) }`).join(', ')}${ids.length === 1 ? '' : ']'};\n`;
+    await fs.writeFile(path.join(dir, 'b.mjs'), source(['b1', 'b2']));
+    await fs.writeFile(path.join(dir, 'a.mjs'), source(['a1']));
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not a module');
+
+    const registry = await new ScenarioRegistry().loadDirectory(dir);
+    assert.deepEqual(registry.list().map(s => s.id), ['a1', 'b1', 'b2']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
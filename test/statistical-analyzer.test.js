@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatisticalAnalyzer } from '../src/statistical-analyzer.js';
+
+/**
+ * Reliability recommendations across runs (src/statistical-analyzer.js).
+ */
+
+const run = (benchmarks) => ({ nodeVersion: 'v20.0.0', benchmarks });
+
+test('overheads within the mean A/A noise floor are reported as no measurable difference', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const analyzer = new StatisticalAnalyzer();
+  analyzer.results = [
+    run([
+      { name: 'Quiet', overhead: { timePercent: 2 }, noiseFloor: { floorPercent: 4 } },
+      { name: 'Real', overhead: { timePercent: 9 }, noiseFloor: { floorPercent: 4 } },
+      { name: 'Unfloored', overhead: { timePercent: 1 } }
+    ]),
+    run([
+      { name: 'Quiet', overhead: { timePercent: -3 }, noiseFloor: { floorPercent: 6 } },
+      { name: 'Real', overhead: { timePercent: 11 }, noiseFloor: { floorPercent: 6 } },
+      { name: 'Unfloored', overhead: { timePercent: 1 } }
+    ])
+  ];
+
+  analyzer.analyzeBenchmarks();
+  analyzer.generateRecommendations();
+
+  const withinNoise = analyzer.analysis.recommendations.filter(recommendation => recommendation.type === 'within_noise');
+  assert.deepEqual(withinNoise.map(recommendation => recommendation.benchmark), ['Quiet']);
+  assert.equal(withinNoise[0].overhead_mean, -0.5);
+  assert.equal(withinNoise[0].noise_floor, 5);
+});
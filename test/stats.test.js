@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mean,
+  median,
+  stddev,
+  coefficientOfVariation,
+  percentile,
+  summarize,
+  tCritical,
+  confidenceInterval
+} from '../src/stats.js';
+
+/**
+ * Statistics helpers used while a benchmark runs (src/stats.js).
+ */
+
+const close = (actual, expected, epsilon = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+};
+
+test('mean, median and percentile', () => {
+  assert.equal(mean([1, 2, 3, 4]), 2.5);
+  assert.equal(median([5, 1, 3]), 3);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.equal(percentile([10, 20, 30, 40, 50], 0), 10);
+  assert.equal(percentile([10, 20, 30, 40, 50], 100), 50);
+  assert.equal(percentile([10, 20, 30, 40, 50], 90), 46);
+});
+
+test('empty and single-value samples do not produce NaN', () => {
+  assert.equal(mean([]), 0);
+  assert.equal(median([]), 0);
+  assert.equal(stddev([]), 0);
+  assert.equal(stddev([7]), 0);
+  assert.equal(coefficientOfVariation([0, 0]), 0);
+  assert.deepEqual(summarize([]), { count: 0, mean: 0, median: 0, stddev: 0, min: 0, max: 0 });
+});
+
+test('stddev is the sample standard deviation', () => {
+  close(stddev([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7));
+  close(coefficientOfVariation([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7) / 5);
+});
+
+test('percentile does not reorder its input', () => {
+  const values = [3, 1, 2];
+  percentile(values, 50);
+  assert.deepEqual(values, [3, 1, 2]);
+});
+
+test('tCritical uses Student\'s t up to 30 degrees of freedom and z beyond', () => {
+  assert.equal(tCritical(1), 12.706);
+  assert.equal(tCritical(10, 0.99), 3.169);
+  assert.equal(tCritical(30, 0.9), 1.697);
+  assert.equal(tCritical(31), 1.96);
+  assert.equal(tCritical(0), 12.706, 'df below 1 is clamped');
+  assert.throws(() => tCritical(5, 0.8), /Unsupported confidence level 0.8/);
+});
+
+test('confidenceInterval', () => {
+  const interval = confidenceInterval([1, 2, 3, 4, 5]);
+  close(interval.halfWidth, 2.776 * Math.sqrt(2.5) / Math.sqrt(5));
+  assert.equal(interval.mean, 3);
+  close(interval.lower, 3 - interval.halfWidth);
+  close(interval.upper, 3 + interval.halfWidth);
+
+  assert.equal(confidenceInterval([4]).halfWidth, Infinity);
+  assert.equal(confidenceInterval([2, 2, 2]).halfWidth, 0);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSweeps, overheadPerOpNs } from '../src/sweep.js';
+
+/**
+ * Grouping of sweep members into fitted curves (src/sweep.js).
+ */
+
+const entry = ({ sweep, config, p50 = null, duration = null }) => ({
+  sweep,
+  config,
+  overhead: { timePercent: 1 },
+  withoutALS: { duration: duration ? duration[0] : 10, ...(p50 && { latency: { p50: p50[0] } }) },
+  withALS: { duration: duration ? duration[1] : 10, ...(p50 && { latency: { p50: p50[1] } }) }
+});
+
+test('overheadPerOpNs prefers the median latency difference', () => {
+  assert.equal(overheadPerOpNs(entry({ config: { iterations: 10 }, p50: [1000, 1250], duration: [1, 100] })), 250);
+});
+
+test('overheadPerOpNs falls back to the mean time per iteration', () => {
+  // 2ms more over 1000 iterations is 2000ns per op
+  assert.equal(overheadPerOpNs(entry({ config: { iterations: 1000 }, duration: [10, 12] })), 2000);
+});
+
+test('analyzeSweeps groups members by sweep and group, sorted by x', () => {
+  const sweep = { name: 'contextSize', x: 'size', group: 'shape', unit: 'properties' };
+  const benchmarks = [
+    entry({ sweep, config: { test: 'flat100', shape: 'flat', size: 100 }, p50: [100, 130] }),
+    entry({ sweep, config: { test: 'map1', shape: 'map', size: 1 }, p50: [100, 150] }),
+    entry({ sweep, config: { test: 'flat1', shape: 'flat', size: 1 }, p50: [100, 110] }),
+    entry({ sweep, config: { test: 'flat10', shape: 'flat', size: 10 }, p50: [100, 120] }),
+    entry({ config: { test: 'smallData' } })
+  ];
+
+  const curves = analyzeSweeps(benchmarks);
+  assert.equal(curves.length, 2);
+
+  const [flat, map] = curves;
+  assert.equal(flat.name, 'contextSize');
+  assert.equal(flat.groupValue, 'flat');
+  assert.equal(flat.unit, 'properties');
+  assert.deepEqual(flat.points.map(point => [point.x, point.overheadPerOpNs, point.test]), [
+    [1, 10, 'flat1'],
+    [10, 20, 'flat10'],
+    [100, 30, 'flat100']
+  ]);
+  assert.ok(flat.fit);
+
+  assert.equal(map.groupValue, 'map');
+  assert.equal(map.points.length, 1);
+  assert.equal(map.fit, null, 'one point cannot be fitted');
+});
+
+test('analyzeSweeps passes the declared models on and defaults the unit to x', () => {
+  const sweep = { name: 'nestingDepth', x: 'depth', models: ['linear'] };
+  const benchmarks = [1, 2, 4, 8].map(depth => entry({
+    sweep,
+    config: { test: `nestingDepth${depth}`, depth },
+    p50: [1000, 1000 + 700 * depth]
+  }));
+
+  const [curve] = analyzeSweeps(benchmarks);
+  assert.equal(curve.group, null);
+  assert.equal(curve.groupValue, null);
+  assert.equal(curve.unit, 'depth');
+  assert.equal(curve.fit.model, 'linear');
+  assert.deepEqual(Object.keys(curve.fit.models), ['linear']);
+  assert.equal(curve.fit.slope, 700);
+  assert.equal('models' in curve, false);
+});
+
+test('analyzeSweeps ignores entries without an overhead', () => {
+  const sweep = { name: 's', x: 'n' };
+  assert.deepEqual(analyzeSweeps([{ sweep, config: { n: 1 }, result: {} }]), []);
+});
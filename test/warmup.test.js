@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settledBy, warmupStopRule, nextBatchIterations } from '../src/warmup.js';
+
+/**
+ * Adaptive warmup stopping and batch sizing rules (src/warmup.js).
+ */
+
+const options = { window: 3, maxCV: 0.1 };
+
+test('nothing settles before a full window', () => {
+  assert.equal(settledBy([10, 10], options), null);
+  assert.equal(warmupStopRule({ baseline: [10, 10], withALS: [10, 10] }, options), null);
+});
+
+test('a quiet window settles by CV', () => {
+  assert.equal(settledBy([30, 10, 10, 10], options), 'cv');
+});
+
+test('falling timings do not settle while tier-up is still going on', () => {
+  assert.equal(settledBy([40, 30, 20, 15, 11, 8], options), null);
+});
+
+test('a plateau settles even when a stall keeps the CV high', () => {
+  // last window [10, 25, 10] has a CV far above 0.1, but its median matches the window before
+  const values = [10, 11, 10, 10, 25, 10];
+  assert.equal(settledBy(values, options), 'plateau');
+  assert.equal(settledBy(values.slice(1), options), null, 'needs two full windows for a plateau');
+});
+
+test('the warmup stops only when both sides have settled', () => {
+  const flat = [10, 10, 10, 10, 10, 10];
+  const stalled = [10, 10, 10, 10, 25, 10];
+  const falling = [40, 30, 20, 15, 11, 8];
+
+  assert.equal(warmupStopRule({ baseline: flat, withALS: flat }, options), 'plateau');
+  assert.equal(warmupStopRule({ baseline: stalled, withALS: flat }, options), 'plateau');
+  assert.equal(warmupStopRule({ baseline: falling, withALS: flat }, options), null);
+  assert.equal(warmupStopRule({ baseline: [10, 10, 10], withALS: [10, 10, 10] }, options), 'cv');
+});
+
+test('a zero median does not count as a plateau', () => {
+  assert.equal(settledBy([0, 0, 0, 0, 5, 0], options), null);
+});
+
+test('short batches double up to the full run, long ones keep their size', () => {
+  const limits = { minBatchMs: 10, maxIterations: 1000 };
+
+  assert.equal(nextBatchIterations(100, 2, limits), 200);
+  assert.equal(nextBatchIterations(600, 2, limits), 1000);
+  assert.equal(nextBatchIterations(1000, 2, limits), 1000);
+  assert.equal(nextBatchIterations(100, 10, limits), 100);
+  assert.equal(nextBatchIterations(100, 2, { ...limits, minBatchMs: 0 }), 100);
+});